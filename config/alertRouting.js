@@ -0,0 +1,13 @@
+// Default routing of operator alerts (health monitor, instance sweep) to alert sinks, by
+// severity. Set ALERT_ROUTING_FILE to a JSON file to override any of these severities.
+//
+// good:    recoveries; PagerDuty resolves the incident the matching danger alert opened
+// warning: something needs a look, nobody needs to be woken up
+// danger:  the service is down or a burst of logouts hit the fleet
+//
+// Sinks that are not configured (e.g. no PAGERDUTY_ROUTING_KEY) are skipped.
+module.exports = {
+    good: ['slack', 'webhook', 'pagerduty'],
+    warning: ['slack', 'webhook'],
+    danger: ['slack', 'webhook', 'email', 'pagerduty']
+};
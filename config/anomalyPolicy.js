@@ -0,0 +1,36 @@
+// Default fleet anomaly policy: thresholds on the statistics of each complete sweep (dry runs
+// excluded). Set ANOMALY_POLICY_FILE to a JSON file to override any of these settings.
+//
+// Thresholds are set per statistic, with any of:
+//   count           alert when the statistic reaches this many instances
+//   percent         alert when it reaches this share (0-100) of the online instances
+//   baselineFactor  alert when it is this many times its average over the last
+//                   `baseline.runs` complete sweeps, and at least `baseline.minIncrease` above
+//                   it; only once `baseline.minRuns` sweeps have been recorded
+// Statistics: loggedOut, reconnected, alerted, deferred, closedConnections, nullBailey
+// (online instances without a Bailey state) and lookupFailed (instance details that could
+// not be fetched).
+//
+// Crossing a threshold opens an incident (source instance-sweep, see GET /incidents) and
+// alerts. With pauseRemediation, the sweep and GET /check-individual-instance stop logging
+// instances out (the logout is left for a later check) until an operator confirms the fleet
+// is fine by resolving the incident; otherwise the incident resolves itself after the next
+// sweep without anomalies.
+const ALERT_LOGOUT_BURST = parseInt(process.env.ALERT_LOGOUT_BURST) || 5;
+
+module.exports = {
+    thresholds: {
+        loggedOut: { count: ALERT_LOGOUT_BURST, baselineFactor: 3 },
+        nullBailey: { percent: 25, baselineFactor: 3 },
+        reconnected: { percent: 30 },
+        lookupFailed: { percent: 20 }
+    },
+    baseline: {
+        runs: 10,
+        minRuns: 5,
+        minIncrease: 5
+    },
+    pauseRemediation: false,
+    // Severity of the alert; danger pages with the default alert routing
+    severity: 'danger'
+};
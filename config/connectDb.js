@@ -1,12 +1,15 @@
 const mongoose = require('mongoose');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('mongodb');
 
 async function connectDb(){
     try{
         await mongoose.connect(process.env.MONGODB_URI)
-        console.log(`MongoDB Connected`)
+        logger.info('MongoDB Connected')
     }
     catch(err){
-        console.log(`Error in Connecting MongoDB - ${err.message}`)
+        logger.error({ err }, 'Error in Connecting MongoDB')
     }
 }
 
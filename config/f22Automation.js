@@ -0,0 +1,41 @@
+// Default settings of the F22 Labs restart automation (restart-app.js). Set
+// F22_AUTOMATION_FILE to a JSON file to override any of these settings (`steps`, `status`
+// and `timeouts` key by key).
+//
+// Each step lists its selectors in order of preference: the first one that is on the page
+// and visible is used, so when the dashboard changes, a fallback keeps the automation going
+// (and is logged) until the list is updated. Besides CSS, Puppeteer's `::-p-text(...)` and
+// `::-p-xpath(...)` selectors can be used. A step with no selectors is skipped.
+//
+// The restart only counts as done once the app status on the API page (first of
+// `status.selectors` found) changes after the click, or reads as restarting; a failed step
+// leaves a screenshot and the page's HTML in `artifactsDir`.
+module.exports = {
+    loginUrl: process.env.F22_LOGIN_URL,
+    apiUrl: process.env.F22_API_URL,
+    headless: process.env.F22_HEADLESS !== 'false',
+    executablePath: process.env.EXECUTABLE_PATH,
+    artifactsDir: process.env.F22_ARTIFACTS_DIR || 'restart-artifacts',
+    steps: {
+        email: ['input[name="email"]', 'input[type="email"]'],
+        password: ['input[name="password"]', 'input[type="password"]'],
+        submit: ['button[type="submit"].chakra-button.css-1mk4yg', 'form button[type="submit"]', 'button::-p-text(Login)'],
+        // Shown once the login went through
+        dashboard: ['span.font-medium.transition-opacity.duration-150::-p-text(Dashboard)', 'nav ::-p-text(Dashboard)'],
+        restart: ['button[aria-label="restart"]', 'button[title="Restart"]', 'button::-p-text(Restart)'],
+        // Button of a confirmation dialog shown after clicking restart, if the dashboard asks
+        confirm: []
+    },
+    status: {
+        selectors: ['[data-testid="app-status"]', '.chakra-badge'],
+        // Case-insensitive pattern of the statuses that show the app is restarting
+        restarting: 'restart|deploy|build|starting|pending|progress',
+        pollMs: 1000
+    },
+    timeouts: {
+        navigation: 30000,
+        step: 15000,
+        // How long the status has to change after the click
+        restart: 30000
+    }
+};
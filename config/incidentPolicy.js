@@ -0,0 +1,28 @@
+// Default incident policy of the health monitor. Set INCIDENT_POLICY_FILE to a JSON file to
+// override any of these settings.
+//
+// Failed health checks are grouped into one incident per health URL, which stays open until
+// a check passes or an operator resolves it (POST /incidents/{id}/resolve). The incident is
+// alerted once when it opens, again each time it reaches a later escalation tier, and every
+// `reminderMs` while it stays at the last one; acknowledging it (POST
+// /incidents/{id}/acknowledge) stops escalations and reminders. Restart attempts and their
+// outcome are alerted once per incident.
+module.exports = {
+    // Tiers by how long the incident has been open, in ascending afterMs; the first one must
+    // start at 0. `severity` is good, warning or danger and picks the alert sinks through the
+    // alert routing (by default only danger pages).
+    escalation: [
+        { afterMs: 0, severity: 'warning' },
+        { afterMs: 10 * 60 * 1000, severity: 'danger' },
+        { afterMs: 30 * 60 * 1000, severity: 'danger' }
+    ],
+    // Repeat the alert of the last tier while the incident is unacknowledged; 0 to disable
+    reminderMs: 60 * 60 * 1000,
+    // Daily window in which warnings and recoveries are only logged, e.g.
+    // { "start": "22:00", "end": "07:00", "timezone": "Asia/Kolkata" }; null to disable.
+    // Danger alerts always go out, and so does the recovery of an incident that paged.
+    quietHours: null,
+    // Planned maintenance, suppressing the same alerts as quiet hours, e.g.
+    // [{ "start": "2025-09-20T22:00:00Z", "end": "2025-09-21T01:00:00Z", "reason": "DB upgrade" }]
+    maintenanceWindows: []
+};
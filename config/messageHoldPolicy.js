@@ -0,0 +1,22 @@
+// Default policy for the messages of users whose instance goes OFFLINE. Set
+// MESSAGE_HOLD_POLICY_FILE to a JSON file to override any of these settings.
+//
+// While an instance is offline the sending service cannot deliver its user's messages,
+// so pending ones either fail or pile up. With the policy enabled, marking a user OFFLINE
+// moves those messages to `on_hold`, which the sending service skips. They are released
+// back to `pending` the next time the monitor sees the instance open. Release always runs,
+// even with the policy disabled, so nothing stays held after it is switched off.
+//
+// Holding and releasing never touch `retry_count` (a hold is not a send attempt) and bump
+// `version`, so a sender working from a copy read before the change cannot overwrite it.
+module.exports = {
+    // Opt in to holding messages
+    enabled: false,
+    // past_due: only hold pending messages whose scheduled_at has passed
+    // all:      hold every pending message of the user
+    scope: 'past_due',
+    // shift: move scheduled_at forward by how long the message was held
+    // asap:  send held messages as soon as the instance is back (scheduled_at is set to the
+    //        release time unless it is still in the future)
+    release: 'shift'
+};
@@ -0,0 +1,22 @@
+// Templates of the notifications sent to customers. Set NOTIFICATION_TEMPLATES_FILE to a
+// JSON file with the same shape to override any of them.
+//
+// Placeholders: {{name}}, {{mobile_number}}, {{instance_id}}, {{cause}} (from `causes`,
+// by the reason of the logout) and {{reconnect_url}} (CUSTOMER_RECONNECT_URL). The pairing
+// template also has {{pairing_url}} and {{logout_after}}.
+module.exports = {
+    templates: {
+        reconnect: {
+            subject: 'Please reconnect your WhatsApp',
+            text: 'Hi {{name}},\n\n{{cause}} Your scheduled messages will not be sent until you reconnect.\n\nOpen {{reconnect_url}} and scan the QR code with WhatsApp on your phone ({{mobile_number}}) to resume sending.\n'
+        },
+        pairing: {
+            subject: 'Scan the QR code to keep your WhatsApp connected',
+            text: 'Hi {{name}},\n\n{{cause}} To keep your scheduled messages going, open {{pairing_url}} and scan the QR code with WhatsApp on your phone ({{mobile_number}}) before {{logout_after}}.\n\nThe link is only valid for a short time.\n'
+        }
+    },
+    causes: {
+        QR_REQUIRED: 'Your WhatsApp session has expired and needs to be linked again.',
+        NULL_BAILEY: 'Your WhatsApp session was disconnected.'
+    }
+};
@@ -0,0 +1,23 @@
+// Default status reconciliation policy: how User.status is repaired when it disagrees with
+// Codechat and Bailey. Set RECONCILIATION_POLICY_FILE to a JSON file to override any of
+// these settings.
+//
+// The status a user should have is derived from its instance:
+//   OFFLINE  Codechat does not know the instance, or reports it as not ONLINE, or it is
+//            ONLINE with a Bailey state listed in `offlineBaileyStates`
+//   ONLINE   Codechat reports it ONLINE with a Bailey state listed in `onlineBaileyStates`
+// Anything else (e.g. a null Bailey state, or the lookup failed) is left undetermined;
+// the remediation policy deals with those instances.
+module.exports = {
+    // Statuses the reconciliation may change; drift on users in any other status is only reported
+    managedStatuses: ['ONLINE', 'OFFLINE'],
+    // Repair ONLINE users whose instance is not ONLINE on Codechat
+    markOffline: true,
+    // Repair ONLINE users whose instance Codechat does not know at all (never when Codechat
+    // lists no instances, which is taken for an outage)
+    markMissingOffline: true,
+    // Repair OFFLINE users whose instance is ONLINE and connected to WhatsApp
+    markOnline: true,
+    onlineBaileyStates: ['open'],
+    offlineBaileyStates: []
+};
@@ -0,0 +1,38 @@
+// Default remediation policy, evaluated top to bottom: the first rule whose `when` matches
+// the observation of an instance decides the action. Set REMEDIATION_POLICY_FILE to a JSON
+// file with the same shape to replace it.
+//
+// `when` fields (omit a field to match any value, use '*' for "any known value", or an
+// array for "any of"):
+//   codechatStatus  Codechat connectionStatus, e.g. ONLINE
+//   baileyState     WhatsApp (Bailey) connection state: null, open, close, connecting, ...
+//                   Unknown (not set) when fetching the instance details failed
+//   connect         Response of the reconnect attempt: qr (Codechat returned a QR code) or
+//                   connected. Only set when the policy is re-evaluated after a reconnect
+//   error           Codechat error class raised while fetching the details, e.g.
+//                   InstanceNotFoundError; CodechatError matches all of them
+//   manual          true for an explicit logout request (POST /logout-instance)
+//
+// Actions: ignore, reconnect, logout (connects first unless already connected), alert
+// (record and report only) or retry_later (do nothing until the next check).
+// `minObservations` (strikes) and `graceMs` hold the action back until the rule has matched
+// that many checks in a row and for that long; a check that matches another rule (or none)
+// starts the count over. Until both are met the decision is retry_later. Bailey states flap while WhatsApp reconnects,
+// so the default policy wants two bad checks before logging an instance out.
+//
+// When a reconnect returns a QR code it is kept for the user to scan (GET /instances/{id}/qr),
+// and qr-required waits QR_PAIRING_WINDOW_MS for that before logging the instance out.
+const QR_PAIRING_WINDOW_MS = parseInt(process.env.QR_PAIRING_WINDOW_MS) || 10 * 60 * 1000;
+
+module.exports = [
+    { name: 'manual-logout', when: { manual: true }, action: 'logout', reason: 'MANUAL_LOGOUT' },
+    { name: 'instance-missing', when: { error: 'InstanceNotFoundError' }, action: 'logout', reason: 'FETCH_DETAILS_ERROR' },
+    { name: 'codechat-error', when: { error: '*' }, action: 'retry_later' },
+    { name: 'null-bailey', when: { baileyState: null }, action: 'logout', reason: 'NULL_BAILEY', minObservations: 2 },
+    { name: 'qr-required', when: { baileyState: 'close', connect: 'qr' }, action: 'logout', reason: 'QR_REQUIRED', minObservations: 2, graceMs: QR_PAIRING_WINDOW_MS },
+    { name: 'reconnected', when: { baileyState: 'close', connect: 'connected' }, action: 'ignore' },
+    { name: 'connection-closed', when: { baileyState: 'close' }, action: 'reconnect', reason: 'CONNECTION_CLOSED' },
+    { name: 'connected', when: { baileyState: 'open' }, action: 'ignore' },
+    { name: 'connecting', when: { baileyState: 'connecting' }, action: 'retry_later' },
+    { name: 'unexpected-state', when: {}, action: 'alert', reason: 'UNEXPECTED_STATE' }
+];
@@ -0,0 +1,16 @@
+// Restart strategy the health monitor recovers the service with, by environment (ENV), with
+// `default` for any environment not listed. Set RESTART_STRATEGY_FILE to a JSON file to
+// override any of these environments.
+//
+// browser: log into the F22 Labs dashboard with Puppeteer and click restart (F22_* variables)
+// http:    call a restart endpoint; url, method, headers, body, timeoutMs
+// docker:  restart a container through the Docker Engine socket; container, socketPath,
+//          stopTimeoutSeconds, timeoutMs
+// shell:   run a command; command, timeoutMs
+//
+// Options not given fall back to the strategy's environment variables (see
+// services/restartStrategies), e.g.
+//   { "prod": { "strategy": "docker", "container": "wa-send-later-api" } }
+module.exports = {
+    default: { strategy: process.env.RESTART_STRATEGY || 'browser' }
+};
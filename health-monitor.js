@@ -1,6 +1,12 @@
 const axios = require('axios');
-const restartF22LabsApp = require('./restart-app.js');
 require('dotenv').config();
+const { createLogger, runWithCorrelationId } = require('./utils/logger');
+const { notify, configuredSinks } = require('./services/alerts');
+const { restartStrategy, missingRestartConfig, restartService } = require('./services/restart');
+const { suppression, dueAlert, newIncident, saveIncident, refreshIncident, resolveIncident, policy: incidentPolicy } = require('./services/incidents');
+const connectDb = require('./config/connectDb');
+
+const logger = createLogger('health-monitor');
 
 class HealthMonitor {
     constructor() {
@@ -10,91 +16,196 @@ class HealthMonitor {
         this.consecutiveFailures = 0;
         this.restartAttempted = false;
         this.lastRestartTime = null;
+        // Result of the last restart attempt, successful or not
+        this.lastRestart = null;
+        // The open incident of the failed checks, its events not yet saved, and whether it
+        // has asked for manual intervention
+        this.incident = null;
+        this.incidentEvents = [];
+        this.interventionAlerted = false;
         
         // Configuration from environment variables
         this.config = {
             healthUrl: process.env.HEALTH_CHECK_URL,
-            slackWebhook: process.env.SLACK_WEBHOOK_URL,
             deploymentUrl: process.env.DEPLOYMENT_URL,
             env: process.env.ENV || 'dev',
             checkInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 120000, // Default 2 minutes
             restartCooldown: 300000, // 5 minutes cooldown between restart attempts
-            maxRetries: 2 // Maximum restart attempts before requiring manual intervention
+            maxRetries: 2, // Maximum restart attempts before requiring manual intervention
+            persistIncidents: Boolean(process.env.MONGODB_URI) // Store incidents for the /incidents endpoints
         };
+        this.incidentKey = `health-monitor:${this.config.env}:${this.config.healthUrl}`;
 
         this.validateConfig();
     }
 
     validateConfig() {
-        const required = ['healthUrl', 'slackWebhook'];
-        const missing = required.filter(key => !this.config[key]);
-        
+        if (!this.config.healthUrl) {
+            logger.error({ missing: ['HEALTH_CHECK_URL'] }, 'Missing required environment variables');
+            throw new Error('Missing required configuration: healthUrl');
+        }
+
+        // Alerts go through the sinks of services/alerts.js; at least one must be set up
+        const sinks = configuredSinks();
+        if (sinks.length === 0) {
+            logger.error('No alert sink configured: set SLACK_WEBHOOK_URL (or SLACK_BOT_TOKEN and SLACK_CHANNEL), ALERT_WEBHOOK_URL, ALERT_EMAIL_TO or PAGERDUTY_ROUTING_KEY');
+            throw new Error('Missing required configuration: alert sink');
+        }
+
+        // A restart strategy that is not set up only fails the restart attempt
+        const { strategy } = restartStrategy();
+        const missing = missingRestartConfig();
         if (missing.length > 0) {
-            console.error('❌ Missing required environment variables:');
-            missing.forEach(key => {
-                const envName = key === 'healthUrl' ? 'HEALTH_CHECK_URL' : 
-                               key === 'slackWebhook' ? 'SLACK_WEBHOOK_URL' : key;
-                console.error(`   - ${envName}`);
-            });
-            throw new Error(`Missing required configuration: ${missing.join(', ')}`);
+            logger.warn({ restart_strategy: strategy.name, missing }, `Restart strategy ${strategy.name} is missing settings; automatic restarts will fail`);
         }
 
-        console.log('✅ Health monitor configuration validated');
-        console.log(`🎯 Monitoring: ${this.config.healthUrl}`);
-        console.log(`📢 Slack notifications: ${this.config.slackWebhook ? 'Enabled' : 'Disabled'}`);
-        console.log(`🔄 Check interval: ${this.config.checkInterval / 1000}s`);
-        console.log(`🌍 Environment: ${this.config.env}`);
+        logger.info({
+            health_url: this.config.healthUrl,
+            alert_sinks: sinks,
+            restart_strategy: strategy.name,
+            persist_incidents: this.config.persistIncidents,
+            check_interval_ms: this.config.checkInterval,
+            env: this.config.env
+        }, 'Health monitor configuration validated');
     }
 
-    async sendSlackMessage(message, color = 'warning') {
-        if (!this.config.slackWebhook) {
-            console.log('⚠️ Slack webhook not configured, skipping notification');
+    // Alert through every sink routed for the severity ('good', 'warning' or 'danger').
+    // Alerts about an incident share its key as dedup key, so sinks that support it
+    // group them, and the recovery resolves the incident that the failure opened.
+    async sendAlert(severity, title, text) {
+        const incident = this.incident;
+        await notify({
+            severity,
+            title,
+            text,
+            source: 'health-monitor',
+            fields: {
+                'Health URL': this.config.healthUrl,
+                'Consecutive Failures': this.consecutiveFailures,
+                ...(incident && {
+                    Incident: String(incident._id),
+                    'Open Since': new Date(incident.opened_at).toISOString(),
+                    State: incident.state
+                })
+            },
+            dedupKey: this.incidentKey
+        });
+    }
+
+    // Alert about the current incident, unless quiet hours or a maintenance window hold the
+    // alert back. Either way it is recorded on the incident; `tier` is the escalation tier
+    // the alert stands for, if any.
+    async alertIncident(severity, title, text, { type = 'alerted', tier } = {}) {
+        const incident = this.incident;
+        const now = new Date();
+        const suppressedBy = suppression(severity, incident, now);
+
+        if (tier !== undefined) incident.tier = tier;
+
+        if (suppressedBy) {
+            logger.info({ incident_id: String(incident._id), severity, suppressed_by: suppressedBy }, `Suppressed ${severity} alert during ${suppressedBy}: ${title}`);
+            incident.alerts_suppressed++;
+            this.incidentEvents.push({ type: 'suppressed', severity, message: `${title} (${suppressedBy})`, at: now });
             return;
         }
 
+        await this.sendAlert(severity, title, text);
+        incident.alerts_sent++;
+        incident.last_alert_at = now;
+        if (severity === 'danger') incident.paged = true;
+        this.incidentEvents.push({ type, severity, message: title, at: now });
+    }
+
+    // Store the incident and its new events in MongoDB, keeping the events for the next
+    // attempt when that fails. Alerting never depends on it.
+    async saveIncident() {
+        if (!this.incident || !this.config.persistIncidents) return;
+
+        const events = this.incidentEvents;
+        this.incidentEvents = [];
         try {
-            const payload = {
-                attachments: [{
-                    color: color,
-                    title: `🏥 WhatsApp API Health Monitor - ${this.config.env.toUpperCase()}`,
-                    text: message,
-                    timestamp: Math.floor(Date.now() / 1000),
-                    fields: [
-                        {
-                            title: 'Environment',
-                            value: this.config.env,
-                            short: true
-                        },
-                        {
-                            title: 'Health URL',
-                            value: this.config.healthUrl,
-                            short: true
-                        },
-                        {
-                            title: 'Consecutive Failures',
-                            value: this.consecutiveFailures.toString(),
-                            short: true
-                        },
-                        {
-                            title: 'Timestamp',
-                            value: new Date().toISOString(),
-                            short: true
-                        }
-                    ]
-                }]
+            if (!await saveIncident(this.incident, events)) {
+                this.incidentEvents = events.concat(this.incidentEvents);
+            }
+        } catch (mongoError) {
+            logger.error({ incident_id: String(this.incident._id), err: mongoError }, 'Failed to save incident in MongoDB');
+            this.incidentEvents = events.concat(this.incidentEvents);
+        }
+    }
+
+    // Count a failed check towards the open incident, opening one if there is none (or an
+    // operator resolved the last one), and send the alert the incident is due
+    async recordFailure(details) {
+        if (this.incident && this.config.persistIncidents) {
+            try {
+                this.incident = await refreshIncident(this.incident);
+            } catch (mongoError) {
+                logger.error({ incident_id: String(this.incident._id), err: mongoError }, 'Failed to refresh incident from MongoDB');
+            }
+            if (this.incident.state === 'resolved') {
+                logger.info({ incident_id: String(this.incident._id), resolved_by: this.incident.resolved_by }, 'Incident was resolved by an operator but the API is still failing; opening a new one');
+                this.closeIncident();
+            }
+        }
+
+        const now = new Date();
+        if (!this.incident) {
+            this.incident = newIncident({ key: this.incidentKey, source: 'health-monitor', title: 'WhatsApp API health check failing', now });
+            this.incidentEvents.push({ type: 'opened', message: details, at: now });
+            logger.warn({ incident_id: String(this.incident._id) }, 'Opened incident');
+            // Stored before its first alert, so that the Slack sink can keep the thread on it
+            await this.saveIncident();
+        }
+        this.incident.failures++;
+        this.incident.last_failure_at = now;
+        this.incident.last_error = details;
+
+        const due = dueAlert(this.incident, now);
+        if (due) {
+            const openFor = Math.round((now - new Date(this.incident.opened_at)) / 60000);
+            const titles = {
+                opened: 'API Health Check Failed',
+                escalated: `API Still Failing After ${openFor} Minutes`,
+                reminded: `API Still Failing After ${openFor} Minutes (Unacknowledged)`
             };
+            await this.alertIncident(
+                due.severity,
+                titles[due.type],
+                `${details}\nURL: ${this.config.healthUrl}\nFailed checks: ${this.incident.failures}`,
+                { type: due.type === 'opened' ? 'alerted' : due.type, tier: due.tier }
+            );
+        }
+    }
 
-            await axios.post(this.config.slackWebhook, payload, {
-                timeout: 10000
-            });
-            
-            console.log('📢 Slack notification sent successfully');
-        } catch (error) {
-            console.error('❌ Failed to send Slack notification:', error.message);
+    // Resolve the open incident after the API recovered, alerting with a good alert
+    async resolveIncident(title, text) {
+        if (!this.incident) return;
+
+        await this.alertIncident('good', title, text);
+        if (this.config.persistIncidents) {
+            await this.saveIncident();
+            try {
+                await resolveIncident(this.incident._id, 'health-monitor', title);
+            } catch (mongoError) {
+                logger.error({ incident_id: String(this.incident._id), err: mongoError }, 'Failed to resolve incident in MongoDB');
+            }
         }
+        logger.info({ incident_id: String(this.incident._id), failures: this.incident.failures }, 'Resolved incident');
+        this.closeIncident();
+    }
+
+    closeIncident() {
+        this.incident = null;
+        this.incidentEvents = [];
+        this.interventionAlerted = false;
+    }
+
+    // Each check, with the restart and notifications it leads to, logs under its own correlation id
+    checkHealth() {
+        return runWithCorrelationId(() => this.runHealthCheck());
     }
 
-    async checkHealth() {
+    async runHealthCheck() {
         try {
             // Only log if there are issues, not on every check
             const response = await axios.get(this.config.healthUrl, {
@@ -103,18 +214,16 @@ class HealthMonitor {
             });
 
             if (response.status === 200) {
-                // Health check passed - always console log but only Slack on recovery
-                console.log(`✅ Health check passed (${response.status})`);
+                // Health check passed - always logged but only alerted on recovery
+                logger.info({ status: response.status }, 'Health check passed');
                 
                 if (this.lastStatus !== 'healthy') {
-                    console.log('✅ API is healthy - Service recovered!');
+                    logger.info({ consecutive_failures: this.consecutiveFailures }, 'API is healthy - Service recovered');
                     
-                    if (this.consecutiveFailures > 0) {
-                        await this.sendSlackMessage(
-                            `✅ *Service Recovered!*\n\nThe WhatsApp API is now responding normally after ${this.consecutiveFailures} consecutive failures.`,
-                            'good'
-                        );
-                    }
+                    await this.resolveIncident(
+                        'Service Recovered',
+                        `The WhatsApp API is now responding normally after ${this.consecutiveFailures} consecutive failures.`
+                    );
                     
                     // Reset failure tracking
                     this.consecutiveFailures = 0;
@@ -128,15 +237,11 @@ class HealthMonitor {
                 this.consecutiveFailures++;
                 this.lastStatus = 'unhealthy';
                 
-                console.log(`❌ Health check failed (${response.status}) - Failure #${this.consecutiveFailures}`);
-                
-                // Send Slack notification for any non-200 response
-                await this.sendSlackMessage(
-                    `🚨 *API Health Check Failed*\n\nStatus: HTTP ${response.status}\nURL: ${this.config.healthUrl}\nFailure #${this.consecutiveFailures}`,
-                    'danger'
-                );
+                logger.error({ status: response.status, consecutive_failures: this.consecutiveFailures }, `Health check failed (${response.status})`);
                 
+                await this.recordFailure(`Status: HTTP ${response.status}`);
                 await this.handleHealthFailure(response.status, `HTTP ${response.status}`);
+                await this.saveIncident();
             }
             
         } catch (error) {
@@ -144,61 +249,61 @@ class HealthMonitor {
             this.consecutiveFailures++;
             this.lastStatus = 'unhealthy';
             
-            console.log(`❌ Health check error - Failure #${this.consecutiveFailures}: ${error.message}`);
-            
-            // Send Slack notification for network/connection errors
-            await this.sendSlackMessage(
-                `🚨 *API Health Check Failed*\n\nError: ${error.message}\nURL: ${this.config.healthUrl}\nFailure #${this.consecutiveFailures}`,
-                'danger'
-            );
+            logger.error({ err: error, consecutive_failures: this.consecutiveFailures }, 'Health check error');
             
+            await this.recordFailure(`Error: ${error.message}`);
             await this.handleHealthFailure('ERROR', error.message);
+            await this.saveIncident();
         }
     }
 
     async handleHealthFailure(status, errorDetails) {
         // Execute restart on first failure (if conditions are met)
         if (this.consecutiveFailures === 1 && !this.restartAttempted && this.canAttemptRestart()) {
-            console.log('🔄 Attempting automatic restart via F22 Labs automation...');
+            const { strategy } = restartStrategy();
+            logger.warn({ restart_strategy: strategy.name }, `Attempting automatic restart via the ${strategy.name} strategy`);
             
-            await this.sendSlackMessage(
-                `🔄 *Attempting Automatic Recovery*\n\nTriggering F22 Labs app restart after ${this.consecutiveFailures} consecutive failures.\n\nWill wait 1 minute for service recovery...`,
-                'warning'
+            await this.alertIncident(
+                'warning',
+                'Attempting Automatic Recovery',
+                `Restarting the service via the ${strategy.name} strategy after ${this.consecutiveFailures} consecutive failures.\n\nWill wait 1 minute for service recovery...`
             );
 
-            try {
-                await restartF22LabsApp();
+            const result = await restartService();
+            this.lastRestart = result;
+
+            if (result.success) {
                 this.restartAttempted = true;
                 this.lastRestartTime = Date.now();
                 
-                console.log('⚠️ Restart automation is disabled - skipping actual restart');
+                logger.info('Restart triggered, checking for recovery in 1 minute');
                 
                 // Wait 1 minute then check if service recovered
-                setTimeout(async () => {
-                    await this.checkRecoveryAfterRestart();
-                }, 60000);
-                
-            } catch (error) {
-                console.error('❌ Failed to execute restart automation:', error.message);
+                setTimeout(() => runWithCorrelationId(() => this.checkRecoveryAfterRestart()), 60000);
                 
-                await this.sendSlackMessage(
-                    `❌ *Automatic Restart Failed*\n\nError: ${error.message}\n\n🚨 **Manual intervention required!**`,
-                    'danger'
+            } else {
+                await this.alertIncident(
+                    'danger',
+                    'Automatic Restart Failed',
+                    `${result.message}\n\nError: ${result.error}\n\nManual intervention required!`
                 );
             }
         }
 
-        // Send manual intervention alert after multiple failures
-        if (this.consecutiveFailures >= 3 && this.restartAttempted) {
-            await this.sendSlackMessage(
-                `🚨 *MANUAL INTERVENTION REQUIRED*\n\nService has been down for ${this.consecutiveFailures} consecutive checks.\nAutomatic restart was attempted but service is still failing.\n\n**Please investigate immediately!**`,
-                'danger'
+        // Ask for manual intervention once per incident, unless someone already acknowledged it
+        if (this.consecutiveFailures >= 3 && this.restartAttempted && !this.interventionAlerted
+            && this.incident.state === 'open') {
+            this.interventionAlerted = true;
+            await this.alertIncident(
+                'danger',
+                'MANUAL INTERVENTION REQUIRED',
+                `Service has been down for ${this.consecutiveFailures} consecutive checks.\nAutomatic restart was attempted but service is still failing.\n\nPlease investigate immediately!`
             );
         }
     }
 
     async checkRecoveryAfterRestart() {
-        console.log('🔍 Checking if service recovered after restart...');
+        logger.info('Checking if service recovered after restart');
         
         try {
             const response = await axios.get(this.config.healthUrl, {
@@ -206,30 +311,31 @@ class HealthMonitor {
             });
 
             if (response.status === 200) {
-                console.log('✅ Service recovered after restart!');
-                await this.sendSlackMessage(
-                    `✅ *Recovery Successful!*\n\nService is now responding normally after automatic restart.`,
-                    'good'
+                logger.info('Service recovered after restart');
+                await this.resolveIncident(
+                    'Recovery Successful',
+                    'Service is now responding normally after automatic restart.'
                 );
                 
                 this.consecutiveFailures = 0;
                 this.lastStatus = 'healthy';
             } else {
-                console.log('❌ Service still not responding after restart');
-                await this.sendSlackMessage(
-                    `❌ *Recovery Failed*\n\nService is still not responding normally after restart.\n\n🚨 **Manual intervention required!**`,
-                    'danger'
-                );
+                logger.error({ status: response.status }, 'Service still not responding after restart');
+                await this.alertRecoveryFailed('Service is still not responding normally after restart.\n\nManual intervention required!');
             }
         } catch (error) {
-            console.log('❌ Service still not accessible after restart');
-            await this.sendSlackMessage(
-                `❌ *Recovery Failed*\n\nService is still not accessible after restart.\n\nError: ${error.message}\n\n🚨 **Manual intervention required!**`,
-                'danger'
-            );
+            logger.error({ err: error }, 'Service still not accessible after restart');
+            await this.alertRecoveryFailed(`Service is still not accessible after restart.\n\nError: ${error.message}\n\nManual intervention required!`);
         }
     }
 
+    async alertRecoveryFailed(text) {
+        // A check may have resolved the incident in the meantime
+        if (!this.incident) return;
+        await this.alertIncident('danger', 'Recovery Failed', text);
+        await this.saveIncident();
+    }
+
     canAttemptRestart() {
         if (!this.lastRestartTime) return true;
         
@@ -239,12 +345,11 @@ class HealthMonitor {
 
     start() {
         if (this.isRunning) {
-            console.log('⚠️ Health monitor is already running');
+            logger.warn('Health monitor is already running');
             return;
         }
 
-        console.log('🚀 Starting WhatsApp API Health Monitor...');
-        console.log('=' .repeat(50));
+        logger.info('Starting WhatsApp API Health Monitor');
         
         this.isRunning = true;
         
@@ -256,18 +361,18 @@ class HealthMonitor {
             this.checkHealth();
         }, this.config.checkInterval);
 
-        console.log(`✅ Health monitor started - checking every ${this.config.checkInterval / 1000} seconds`);
+        logger.info({ check_interval_ms: this.config.checkInterval }, `Health monitor started - checking every ${this.config.checkInterval / 1000} seconds`);
         
-        // Don't send startup notification to reduce Slack noise
+        // Don't send startup notification to reduce alert noise
     }
 
     stop() {
         if (!this.isRunning) {
-            console.log('⚠️ Health monitor is not running');
+            logger.warn('Health monitor is not running');
             return;
         }
 
-        console.log('🛑 Stopping health monitor...');
+        logger.info('Stopping health monitor');
         
         if (this.intervalId) {
             clearInterval(this.intervalId);
@@ -275,9 +380,9 @@ class HealthMonitor {
         }
         
         this.isRunning = false;
-        console.log('✅ Health monitor stopped');
+        logger.info('Health monitor stopped');
         
-        // Don't send shutdown notification to reduce Slack noise
+        // Don't send shutdown notification to reduce alert noise
     }
 
     getStatus() {
@@ -287,10 +392,12 @@ class HealthMonitor {
             consecutiveFailures: this.consecutiveFailures,
             restartAttempted: this.restartAttempted,
             lastRestartTime: this.lastRestartTime,
-            config: {
-                ...this.config,
-                slackWebhook: this.config.slackWebhook ? '[CONFIGURED]' : '[NOT CONFIGURED]'
-            }
+            lastRestart: this.lastRestart,
+            restartStrategy: restartStrategy().strategy.name,
+            config: this.config,
+            alertSinks: configuredSinks(),
+            incident: this.incident,
+            incidentPolicy
         };
     }
 }
@@ -301,26 +408,29 @@ if (require.main === module) {
     
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-        console.log('\n🛑 Received shutdown signal...');
+        logger.info('Received shutdown signal');
         monitor.stop();
         process.exit(0);
     });
 
     process.on('SIGTERM', () => {
-        console.log('\n🛑 Received termination signal...');
+        logger.info('Received termination signal');
         monitor.stop();
         process.exit(0);
     });
 
     // Start monitoring
     try {
+        // Incidents are stored for the server's /incidents endpoints; the monitor keeps
+        // working from its own copy while MongoDB is unavailable
+        if (monitor.config.persistIncidents) connectDb();
         monitor.start();
         
         // Keep the process alive
         process.stdin.resume();
         
     } catch (error) {
-        console.error('💥 Failed to start health monitor:', error.message);
+        logger.fatal({ err: error }, 'Failed to start health monitor');
         process.exit(1);
     }
 }
@@ -1,5 +1,10 @@
 const axios = require('axios');
 require('dotenv').config();
+const { fetchInstances } = require('./services/codechat');
+const { restartStrategy, missingRestartConfig } = require('./services/restart');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('health');
 
 class HealthChecker {
     constructor() {
@@ -19,12 +24,15 @@ class HealthChecker {
             details,
             timestamp: new Date().toISOString()
         });
+
+        const level = status === 'healthy' ? 'info' : status === 'warning' ? 'warn' : 'error';
+        logger[level]({ check: name, status, details }, `${name}: ${message}`);
     }
 
     // Check if WhatsApp Instance Monitor API is running
     async checkInstanceMonitorAPI() {
         try {
-            console.log('🔍 Checking WhatsApp Instance Monitor API...');
+            logger.debug('Checking WhatsApp Instance Monitor API');
             const response = await axios.get(`http://localhost:${process.env.PORT || 3000}/health`, {
                 timeout: 5000
             });
@@ -40,7 +48,6 @@ class HealthChecker {
                         status: response.data.status
                     }
                 );
-                console.log('✅ WhatsApp Instance Monitor API is healthy');
             } else {
                 this.addCheck(
                     'WhatsApp Instance Monitor API',
@@ -48,7 +55,6 @@ class HealthChecker {
                     `API returned status ${response.status}`,
                     { port: process.env.PORT || 3000 }
                 );
-                console.log('❌ WhatsApp Instance Monitor API returned unexpected status');
             }
         } catch (error) {
             this.addCheck(
@@ -60,7 +66,6 @@ class HealthChecker {
                     port: process.env.PORT || 3000
                 }
             );
-            console.log('❌ WhatsApp Instance Monitor API is not accessible');
         }
     }
 
@@ -73,41 +78,21 @@ class HealthChecker {
                 'CodeChat credentials not configured',
                 { missing: !process.env.CODECHAT_URL ? 'CODECHAT_URL' : 'API_KEY' }
             );
-            console.log('⚠️ CodeChat API credentials not configured');
             return;
         }
 
         try {
-            console.log('🔍 Checking CodeChat API connectivity...');
-            const response = await axios.get(`${process.env.CODECHAT_URL}/instance/fetchInstances`, {
-                headers: {
-                    'accept': 'application/json',
-                    'apikey': process.env.API_KEY
-                },
-                timeout: 10000
-            });
-            
-            if (response.status === 200) {
-                const instances = Array.isArray(response.data) ? response.data : [response.data];
-                this.addCheck(
-                    'CodeChat API',
-                    'healthy',
-                    'CodeChat API is accessible',
-                    { 
-                        instanceCount: instances.length,
-                        url: process.env.CODECHAT_URL
-                    }
-                );
-                console.log(`✅ CodeChat API is healthy (${instances.length} instances found)`);
-            } else {
-                this.addCheck(
-                    'CodeChat API',
-                    'unhealthy',
-                    `CodeChat API returned status ${response.status}`,
-                    { url: process.env.CODECHAT_URL }
-                );
-                console.log('❌ CodeChat API returned unexpected status');
-            }
+            logger.debug('Checking CodeChat API connectivity');
+            const instances = await fetchInstances();
+            this.addCheck(
+                'CodeChat API',
+                'healthy',
+                'CodeChat API is accessible',
+                { 
+                    instanceCount: instances.length,
+                    url: process.env.CODECHAT_URL
+                }
+            );
         } catch (error) {
             this.addCheck(
                 'CodeChat API',
@@ -118,41 +103,38 @@ class HealthChecker {
                     url: process.env.CODECHAT_URL
                 }
             );
-            console.log('❌ CodeChat API is not accessible');
         }
     }
 
-    // Check F22 Labs credentials
-    async checkF22LabsConfig() {
-        const requiredVars = ['F22_LOGIN_URL', 'F22_EMAIL', 'F22_PASSWORD', 'F22_API_URL'];
-        const missingVars = requiredVars.filter(varName => !process.env[varName]);
+    // Check that the restart strategy the health monitor uses has its settings
+    async checkRestartStrategy() {
+        const { strategy } = restartStrategy();
+        const missing = missingRestartConfig();
 
-        if (missingVars.length === 0) {
+        if (missing.length === 0) {
             this.addCheck(
-                'F22 Labs Configuration',
+                'Restart Strategy',
                 'healthy',
-                'All F22 Labs environment variables are configured',
-                { configuredVars: requiredVars }
+                `The ${strategy.name} restart strategy is configured`,
+                { strategy: strategy.name }
             );
-            console.log('✅ F22 Labs configuration is complete');
         } else {
             this.addCheck(
-                'F22 Labs Configuration',
+                'Restart Strategy',
                 'warning',
-                'Some F22 Labs environment variables are missing',
+                `The ${strategy.name} restart strategy is missing settings`,
                 { 
-                    missingVars,
-                    configuredVars: requiredVars.filter(v => !missingVars.includes(v))
+                    strategy: strategy.name,
+                    missing
                 }
             );
-            console.log(`⚠️ F22 Labs configuration incomplete (missing: ${missingVars.join(', ')})`);
         }
     }
 
     // Check system resources
     async checkSystemResources() {
         try {
-            console.log('🔍 Checking system resources...');
+            logger.debug('Checking system resources');
             const usage = process.memoryUsage();
             const uptime = process.uptime();
             
@@ -179,8 +161,6 @@ class HealthChecker {
                     platform: process.platform
                 }
             );
-            
-            console.log(`✅ System resources checked (Memory: ${memoryMB.rss}MB, Uptime: ${Math.floor(uptime / 60)}m)`);
         } catch (error) {
             this.addCheck(
                 'System Resources',
@@ -188,13 +168,12 @@ class HealthChecker {
                 'Failed to check system resources',
                 { error: error.message }
             );
-            console.log('❌ Failed to check system resources');
         }
     }
 
     // Check environment configuration
     async checkEnvironmentConfig() {
-        console.log('🔍 Checking environment configuration...');
+        logger.debug('Checking environment configuration');
         
         const requiredVars = ['PORT', 'CODECHAT_URL', 'API_KEY'];
         const configuredVars = requiredVars.filter(varName => process.env[varName]);
@@ -210,7 +189,6 @@ class HealthChecker {
                     nodeEnv: process.env.NODE_ENV || 'not set'
                 }
             );
-            console.log('✅ Environment configuration is complete');
         } else {
             this.addCheck(
                 'Environment Configuration',
@@ -222,7 +200,6 @@ class HealthChecker {
                     nodeEnv: process.env.NODE_ENV || 'not set'
                 }
             );
-            console.log(`❌ Environment configuration incomplete (missing: ${missingVars.join(', ')})`);
         }
     }
 
@@ -243,31 +220,19 @@ class HealthChecker {
 
     // Run all health checks
     async runAllChecks() {
-        console.log('🏥 Starting comprehensive health check...\n');
+        logger.info('Starting comprehensive health check');
         
         await this.checkEnvironmentConfig();
         await this.checkSystemResources();
         await this.checkInstanceMonitorAPI();
         await this.checkCodeChatAPI();
-        await this.checkF22LabsConfig();
+        await this.checkRestartStrategy();
         
         this.calculateOverallHealth();
         
-        console.log('\n📊 Health Check Summary:');
-        console.log('=' .repeat(50));
-        
-        // Display results
-        this.results.checks.forEach(check => {
-            const emoji = check.status === 'healthy' ? '✅' : 
-                         check.status === 'warning' ? '⚠️' : '❌';
-            console.log(`${emoji} ${check.name}: ${check.message}`);
-        });
-        
-        console.log('=' .repeat(50));
-        const overallEmoji = this.results.overall === 'healthy' ? '✅' : 
-                            this.results.overall === 'warning' ? '⚠️' : '❌';
-        console.log(`${overallEmoji} Overall Health: ${this.results.overall.toUpperCase()}`);
-        console.log(`🕐 Completed at: ${this.results.timestamp}\n`);
+        const summary = this.results.checks.map(({ name, status }) => ({ name, status }));
+        const level = this.results.overall === 'healthy' ? 'info' : this.results.overall === 'warning' ? 'warn' : 'error';
+        logger[level]({ overall: this.results.overall, checks: summary }, `Overall Health: ${this.results.overall.toUpperCase()}`);
         
         return this.results;
     }
@@ -294,7 +259,7 @@ if (require.main === module) {
             process.exit(exitCode);
         })
         .catch((error) => {
-            console.error('💥 Health check failed:', error.message);
+            logger.fatal({ err: error }, 'Health check failed');
             process.exit(3);
         });
 }
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One API request, with the API key or JWT subject that made it
+const auditLogSchema = new Schema({
+  // API key id, or jwt:<sub> for JWT callers; null when no credentials were sent
+  key_id: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  // read_only | operator | admin
+  role: {
+    type: String,
+    default: null,
+  },
+  // api_key | jwt
+  auth_method: {
+    type: String,
+    default: null,
+  },
+  http_method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  query: {
+    type: Schema.Types.Mixed,
+  },
+  status_code: {
+    type: Number,
+    index: true,
+  },
+  // role the endpoint requires
+  required_role: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  user_agent: {
+    type: String,
+  },
+  duration_ms: {
+    type: Number,
+  },
+}, { timestamps: { createdAt: 'created_at', updatedAt: false } });
+
+auditLogSchema.index({ key_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const STATES = ["open", "acknowledged", "resolved"];
+
+// A notable step in the life of an incident
+const incidentEventSchema = new Schema({
+  // opened | escalated | reminded | suppressed | alerted | acknowledged | resolved
+  type: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+  },
+  severity: {
+    type: String,
+  },
+  // API key id or jwt:<sub> of the operator, or the component that did it
+  by: {
+    type: String,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// A problem the monitor alerted about, from when it was first seen until it cleared or an
+// operator resolved it: an outage seen by the health monitor (the failed checks of one
+// health URL), or a fleet anomaly seen by the sweep
+const incidentSchema = new Schema({
+  // health-monitor:<env>:<health url> or instance-sweep:anomaly; at most one active
+  // incident per key
+  key: {
+    type: String,
+    required: true,
+  },
+  source: {
+    type: String,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  state: {
+    type: String,
+    enum: STATES,
+    default: "open",
+    index: true,
+  },
+  // true until the incident is resolved; backs the unique index on key, as a partial index
+  // filtering on the state with $in needs MongoDB 6.0
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  opened_at: {
+    type: Date,
+    required: true,
+  },
+  // failed checks (or sweeps with anomalies) so far, and the last one
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  last_failure_at: {
+    type: Date,
+  },
+  last_error: {
+    type: String,
+  },
+  // index of the highest escalation tier alerted, -1 before the first alert
+  tier: {
+    type: Number,
+    default: -1,
+  },
+  last_alert_at: {
+    type: Date,
+  },
+  alerts_sent: {
+    type: Number,
+    default: 0,
+  },
+  alerts_suppressed: {
+    type: Number,
+    default: 0,
+  },
+  // whether a danger alert went out; its recovery is then never suppressed
+  paged: {
+    type: Boolean,
+    default: false,
+  },
+  acknowledged_at: {
+    type: Date,
+  },
+  acknowledged_by: {
+    type: String,
+  },
+  resolved_at: {
+    type: Date,
+  },
+  resolved_by: {
+    type: String,
+  },
+  // anomalies found by the last sweep, for a fleet anomaly
+  details: {
+    type: Schema.Types.Mixed,
+  },
+  // whether the sweep holds logouts back until the incident is resolved
+  pauses_remediation: {
+    type: Boolean,
+    default: false,
+  },
+  // ts of the first Slack message about the incident, which later alerts reply to
+  slack_thread_ts: {
+    type: String,
+  },
+  events: {
+    type: [incidentEventSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+incidentSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { active: true } });
+incidentSchema.index({ opened_at: -1 });
+
+module.exports = mongoose.model('Incident', incidentSchema);
+module.exports.STATES = STATES;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How long and how many checks in a row a remediation policy rule has matched an instance,
+// for grace periods and strikes. Cleared once the instance is healthy again, has been
+// logged out or matches another rule.
+const instanceConditionSchema = new Schema({
+  instance_id: {
+    type: String,
+    required: true,
+  },
+  // name of the policy rule
+  rule: {
+    type: String,
+    required: true,
+  },
+  since: {
+    type: Date,
+    required: true,
+  },
+  // checks that matched the rule since `since` (strikes)
+  observations: {
+    type: Number,
+    default: 0,
+  },
+  last_seen_at: {
+    type: Date,
+  },
+});
+
+instanceConditionSchema.index({ instance_id: 1, rule: 1 }, { unique: true });
+
+module.exports = mongoose.model('InstanceCondition', instanceConditionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const pendingImpactSchema = require('./pendingImpactSchema');
+
+const REASONS = [
+  "NULL_BAILEY",
+  "CONNECTION_CLOSED",
+  "QR_REQUIRED",
+  "FETCH_DETAILS_ERROR",
+  "MANUAL_LOGOUT",
+  "UNEXPECTED_STATE",
+  "STATUS_DRIFT",
+  "ORPHAN_INSTANCE",
+  "DANGLING_INSTANCE_ID",
+];
+
+const instanceEventSchema = new Schema({
+  instance_id: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  codechat_status: {
+    type: String,
+  },
+  bailey_state: {
+    type: String,
+    default: null,
+  },
+  // reconnect | reconnect_logout | connect_logout | alert | mark_online | mark_offline | delete_instance | clear_instance_id
+  action: {
+    type: String,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true,
+    index: true,
+  },
+  // cron | http | check-individual-instance | logout-all-instances | logout-instance | reconcile-statuses | orphans-cleanup
+  source: {
+    type: String,
+    required: true,
+  },
+  run_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'SweepRun',
+  },
+  marked_offline: {
+    type: Boolean,
+    default: false,
+  },
+  // pending messages put on_hold when the user was marked OFFLINE
+  held_messages: {
+    type: Number,
+    default: 0,
+  },
+  success: {
+    type: Boolean,
+    default: true,
+  },
+  error: {
+    type: String,
+  },
+  // pending sends of the user when the instance was logged out or marked OFFLINE
+  impact: {
+    type: pendingImpactSchema,
+    default: undefined,
+  },
+}, { timestamps: { createdAt: 'created_at', updatedAt: false } });
+
+instanceEventSchema.index({ instance_id: 1, created_at: -1 });
+
+// Events are an audit trail: once written they must never change
+instanceEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function () {
+    throw new Error('Instance events are append-only');
+  }
+);
+
+instanceEventSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Instance events are append-only');
+  }
+});
+
+module.exports = mongoose.model('InstanceEvent', instanceEventSchema);
+module.exports.REASONS = REASONS;
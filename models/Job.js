@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const jobSchema = new Schema({
+  // check-instances | logout-all-instances
+  type: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  params: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ["running", "completed", "failed", "cancelled"],
+    default: "running",
+    index: true,
+  },
+  // hostname:pid of the process running the job
+  owner: {
+    type: String,
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  // Per-instance results, appended while the job runs
+  results: {
+    type: [Schema.Types.Mixed],
+    default: [],
+  },
+  statistics: {
+    type: Schema.Types.Mixed,
+  },
+  run_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'SweepRun',
+  },
+  message: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  cancel_requested: {
+    type: Boolean,
+    default: false,
+  },
+  started_at: {
+    type: Date,
+    required: true,
+  },
+  heartbeat_at: {
+    type: Date,
+  },
+  finished_at: {
+    type: Date,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const lockSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // hostname:pid:uuid of the process holding the lock
+  owner: {
+    type: String,
+    required: true,
+  },
+  operation: {
+    type: String,
+  },
+  run_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'SweepRun',
+  },
+  job_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  acquired_at: {
+    type: Date,
+    required: true,
+  },
+  heartbeat_at: {
+    type: Date,
+    required: true,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+});
+
+module.exports = mongoose.model('Lock', lockSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One notification the monitor tried to send a customer, through one channel
+const notificationSchema = new Schema({
+  user_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  instance_id: {
+    type: String,
+    index: true,
+  },
+  // email | webhook
+  channel: {
+    type: String,
+    required: true,
+  },
+  // email address or mobile number the notification went to
+  recipient: {
+    type: String,
+  },
+  // reconnect | pairing
+  template: {
+    type: String,
+    required: true,
+  },
+  // InstanceEvent reason that triggered the notification, e.g. QR_REQUIRED
+  reason: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ["sent", "failed", "rate_limited"],
+    required: true,
+    index: true,
+  },
+  subject: {
+    type: String,
+  },
+  text: {
+    type: String,
+  },
+  // cron | http | ... (see InstanceEvent.source)
+  source: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+}, { timestamps: { createdAt: 'created_at', updatedAt: false } });
+
+notificationSchema.index({ user_id: 1, channel: 1, template: 1, status: 1, created_at: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
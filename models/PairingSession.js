@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// QR code Codechat returned when reconnecting an instance, kept so the user can scan it
+// instead of the instance being logged out straight away
+const pairingSessionSchema = new Schema({
+  instance_id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // data:image/png;base64,... as returned by Codechat
+  qr_base64: {
+    type: String,
+  },
+  // raw pairing code encoded in the QR
+  qr_code: {
+    type: String,
+  },
+  qr_expires_at: {
+    type: Date,
+  },
+  started_at: {
+    type: Date,
+    required: true,
+  },
+  // when the remediation policy may log the instance out if the QR was not scanned
+  logout_after: {
+    type: Date,
+  },
+  // secret of the pairing link sent to the user
+  link_token: {
+    type: String,
+  },
+  link_expires_at: {
+    type: Date,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('PairingSession', pairingSessionSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const pendingImpactSchema = require('./pendingImpactSchema');
+
+const outcomeSchema = new Schema({
+  instance_id: {
+    type: String,
+    required: true,
+  },
+  codechat_status: {
+    type: String,
+  },
+  bailey_state: {
+    type: String,
+    default: null,
+  },
+  // none | reconnect | reconnect_logout | connect_logout | alert | retry_later
+  action: {
+    type: String,
+    required: true,
+  },
+  // remediation policy rule that decided the action
+  rule: {
+    type: String,
+  },
+  success: {
+    type: Boolean,
+    default: true,
+  },
+  message: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  // pending sends of the user, when the instance was logged out
+  impact: {
+    type: pendingImpactSchema,
+    default: undefined,
+  },
+  checked_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const sweepRunSchema = new Schema({
+  trigger: {
+    type: String,
+    enum: ["cron", "http"],
+    required: true,
+    index: true,
+  },
+  dry_run: {
+    type: Boolean,
+    default: false,
+  },
+  // correlation_id of the run's log lines and Codechat calls
+  correlation_id: {
+    type: String,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ["running", "completed", "failed", "cancelled"],
+    default: "running",
+    index: true,
+  },
+  started_at: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+  finished_at: {
+    type: Date,
+  },
+  message: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  statistics: {
+    totalInstances: { type: Number, default: 0 },
+    onlineInstances: { type: Number, default: 0 },
+    openConnections: { type: Number, default: 0 },
+    closedConnections: { type: Number, default: 0 },
+    reconnected: { type: Number, default: 0 },
+    loggedOut: { type: Number, default: 0 },
+    alerted: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
+    nullBailey: { type: Number, default: 0 },
+    lookupFailed: { type: Number, default: 0 },
+  },
+  // statistics that crossed a fleet anomaly threshold (see config/anomalyPolicy.js)
+  anomalies: {
+    type: [Schema.Types.Mixed],
+    default: undefined,
+  },
+  outcomes: [outcomeSchema],
+}, { timestamps: true });
+
+module.exports = mongoose.model('SweepRun', sweepRunSchema);
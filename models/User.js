@@ -42,10 +42,15 @@ const messageSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "sent", "success", "failed", "deleted"],
+    enum: ["pending", "on_hold", "sent", "success", "failed", "deleted"],
     default: "pending",
     index: true,
   },
+  // set while the message is on_hold because the user's instance went offline
+  held_at: {
+    type: Date,
+    default: null,
+  },
   whatsapp_acknowledgement_id: {
     type: String,
   },
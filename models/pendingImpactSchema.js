@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Sends a user had queued within `window_ms` when its instance went down
+// (see services/impact.js); embedded in instance events and sweep outcomes
+const pendingImpactSchema = new Schema({
+  window_ms: {
+    type: Number,
+  },
+  pending_messages: {
+    type: Number,
+    default: 0,
+  },
+  overdue_messages: {
+    type: Number,
+    default: 0,
+  },
+  next_scheduled_at: {
+    type: Date,
+    default: null,
+  },
+  sequences: {
+    type: Number,
+    default: 0,
+  },
+  groups: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+module.exports = pendingImpactSchema;
@@ -1,43 +1,178 @@
+const fs = require('fs');
+const path = require('path');
 const puppeteer = require('puppeteer-core');
 require('dotenv').config();
+const defaultConfig = require('./config/f22Automation');
+const { createLogger } = require('./utils/logger');
 
-async function restartF22LabsApp() {
-    // Validate environment variables
-    const requiredEnvVars = {
-        F22_LOGIN_URL: process.env.F22_LOGIN_URL,
+const logger = createLogger('restart-app');
+
+const STEPS = ['email', 'password', 'submit', 'dashboard', 'restart', 'confirm'];
+
+function loadConfig() {
+    const file = process.env.F22_AUTOMATION_FILE;
+    const override = file ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) : {};
+    const config = {
+        ...defaultConfig,
+        ...override,
+        steps: { ...defaultConfig.steps, ...override.steps },
+        status: { ...defaultConfig.status, ...override.status },
+        timeouts: { ...defaultConfig.timeouts, ...override.timeouts }
+    };
+
+    for (const [step, selectors] of Object.entries(config.steps)) {
+        if (!STEPS.includes(step)) {
+            throw new Error(`Invalid F22 automation config: unknown step ${step}; expected one of ${STEPS.join(', ')}`);
+        }
+        if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string' || !selector)) {
+            throw new Error(`Invalid F22 automation config: ${step} must be an array of selectors`);
+        }
+        if (selectors.length === 0 && step !== 'confirm') {
+            throw new Error(`Invalid F22 automation config: ${step} needs at least one selector`);
+        }
+    }
+    if (!Array.isArray(config.status.selectors) || config.status.selectors.length === 0) {
+        throw new Error('Invalid F22 automation config: status.selectors needs at least one selector');
+    }
+    try {
+        new RegExp(config.status.restarting);
+    } catch (error) {
+        throw new Error(`Invalid F22 automation config: status.restarting is not a valid pattern (${error.message})`);
+    }
+    if (typeof config.headless !== 'boolean') {
+        throw new Error('Invalid F22 automation config: headless must be true or false');
+    }
+    for (const [name, ms] of Object.entries({ ...config.timeouts, pollMs: config.status.pollMs })) {
+        if (!Number.isFinite(ms) || ms <= 0) {
+            throw new Error(`Invalid F22 automation config: ${name} must be a positive number of milliseconds`);
+        }
+    }
+    return config;
+}
+
+const config = loadConfig();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Settings the automation cannot run without, as the variables that provide them
+function missingConfig() {
+    const required = {
+        F22_LOGIN_URL: config.loginUrl,
         F22_EMAIL: process.env.F22_EMAIL,
         F22_PASSWORD: process.env.F22_PASSWORD,
-        F22_API_URL: process.env.F22_API_URL
+        F22_API_URL: config.apiUrl,
+        EXECUTABLE_PATH: config.executablePath
     };
+    return Object.keys(required).filter(name => !required[name]);
+}
 
-    console.log('🔧 Checking environment variables...');
-    const missingVars = [];
-    
-    for (const [key, value] of Object.entries(requiredEnvVars)) {
-        if (!value) {
-            missingVars.push(key);
-        } else {
-            console.log(`✅ ${key}: ${key === 'F22_PASSWORD' ? '***' : value}`);
+// Save a screenshot and the HTML of the page a step failed on; resolves to their paths, or
+// to null when the page could not be captured
+async function captureFailure(page, step) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const base = path.resolve(config.artifactsDir, `${stamp}-${step}`);
+    try {
+        await fs.promises.mkdir(config.artifactsDir, { recursive: true });
+        await page.screenshot({ path: `${base}.png`, fullPage: true });
+        await fs.promises.writeFile(`${base}.html`, await page.content());
+        return { screenshot: `${base}.png`, html: `${base}.html` };
+    } catch (captureError) {
+        logger.error({ step, err: captureError }, 'Failed to capture the page of a failed step');
+        return null;
+    }
+}
+
+// Run one step of the automation; a failure is captured and reported with the step's name
+async function runStep(page, step, action) {
+    logger.debug({ step }, `Running step ${step}`);
+    try {
+        return await action();
+    } catch (error) {
+        const artifacts = await captureFailure(page, step);
+        logger.error({ step, artifacts, err: error }, `Step ${step} failed`);
+        const saved = artifacts ? ` (screenshot ${artifacts.screenshot}, HTML ${artifacts.html})` : '';
+        throw new Error(`F22 Labs automation failed at step ${step}: ${error.message}${saved}`);
+    }
+}
+
+// The element of a step: the first of its selectors that is on the page and visible, waiting
+// up to the step timeout for any of them
+async function find(page, step) {
+    const selectors = config.steps[step];
+    const deadline = Date.now() + config.timeouts.step;
+
+    while (true) {
+        for (const selector of selectors) {
+            const element = await page.$(selector);
+            if (element && await element.isVisible()) {
+                if (selector !== selectors[0]) {
+                    logger.warn({ step, selector, preferred: selectors[0] }, `Step ${step} fell back to selector ${selector}`);
+                }
+                return element;
+            }
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`none of ${selectors.join(', ')} found within ${config.timeouts.step}ms`);
         }
+        await sleep(250);
     }
+}
+
+async function click(page, step) {
+    const element = await find(page, step);
+    await element.scrollIntoView();
+    try {
+        await element.click();
+    } catch (error) {
+        logger.warn({ step, err: error }, 'Regular click failed, trying JavaScript click');
+        await element.evaluate(node => node.click());
+    }
+}
+
+// Text of the app status on the page, or null when no status element is there
+async function readStatus(page) {
+    for (const selector of config.status.selectors) {
+        const element = await page.$(selector);
+        if (element) {
+            return (await element.evaluate(node => node.textContent)).trim();
+        }
+    }
+    return null;
+}
+
+// Wait for the status to change from what it was before the click, or to read as restarting
+async function waitForRestart(page, before) {
+    const restarting = new RegExp(config.status.restarting, 'i');
+    const deadline = Date.now() + config.timeouts.restart;
+
+    while (Date.now() < deadline) {
+        const status = await readStatus(page);
+        if (status !== null && (status !== before || restarting.test(status))) {
+            return status;
+        }
+        await sleep(config.status.pollMs);
+    }
+    const last = before === null ? 'no status shown' : `status stayed "${before}"`;
+    throw new Error(`restart not confirmed: ${last} for ${config.timeouts.restart}ms after the click`);
+}
+
+// Log into the F22 Labs dashboard and restart the app. Resolves to the app status before the
+// click and the status that confirmed the restart; throws if a step fails.
+async function restartF22LabsApp() {
+    // Validate environment variables
+    logger.debug('Checking environment variables');
+    const missingVars = missingConfig();
 
     if (missingVars.length > 0) {
-        console.error('❌ Missing required environment variables:');
-        missingVars.forEach(varName => console.error(`   - ${varName}`));
-        console.error('\n💡 Please add these to your .env file:');
-        console.error('F22_LOGIN_URL=https://f22labs.cloud/');
-        console.error('F22_EMAIL=your_email@example.com');
-        console.error('F22_PASSWORD=your_password');
-        console.error('F22_API_URL=https://f22labs.cloud/projects/wa-send-later-stage/app/api');
+        logger.error({ missing: missingVars }, 'Missing required environment variables: add F22_LOGIN_URL, F22_EMAIL, F22_PASSWORD, F22_API_URL and EXECUTABLE_PATH to your .env file');
         throw new Error(`Missing environment variables: ${missingVars.join(', ')}`);
     }
 
     const browser = await puppeteer.launch({ 
-        headless: false, // Set to true for production
-        defaultViewport: null,
-        executablePath: '/usr/bin/chromium',
+        headless: config.headless,
+        defaultViewport: { width: 1920, height: 1080 },
+        executablePath: config.executablePath,
         args: [
-            '--start-maximized',
             '--no-sandbox',
             '--disable-setuid-sandbox',
             '--disable-dev-shm-usage',
@@ -46,100 +181,41 @@ async function restartF22LabsApp() {
         ]
     });
 
-    let page;
     try {
-        page = await browser.newPage();
-        
-        console.log('🚀 Starting F22 Labs app restart automation...');
+        const page = await browser.newPage();
+        page.setDefaultNavigationTimeout(config.timeouts.navigation);
         
-        // Navigate to login page
-        console.log('📍 Navigating to F22 Labs login page...');
-        await page.goto(requiredEnvVars.F22_LOGIN_URL, { waitUntil: 'networkidle2' });
+        logger.info({ headless: config.headless }, 'Starting F22 Labs app restart automation');
         
-        // Wait for login form to load
-        await page.waitForSelector('input[name="email"]', { timeout: 10000 });
-        
-        // Fill in email
-        console.log('📧 Entering email...');
-        await page.type('input[name="email"]', requiredEnvVars.F22_EMAIL);
-        
-        // Fill in password
-        console.log('🔐 Entering password...');
-        await page.type('input[name="password"]', requiredEnvVars.F22_PASSWORD);
-        
-        // Click login button
-        console.log('🔄 Clicking login button...');
-        await page.click('button[type="submit"].chakra-button.css-1mk4yg');
-        
-        // Wait for login to complete by checking for Dashboard element
-        console.log('⏳ Waiting for login to complete...');
-        try {
-            await page.waitForFunction(
-                () => {
-                    const dashboardElement = document.querySelector('span.font-medium.transition-opacity.duration-150');
-                    return dashboardElement && dashboardElement.textContent.includes('Dashboard');
-                },
-                { timeout: 15000 }
-            );
-            console.log('✅ Login successful - Dashboard detected!');
-        } catch (error) {
-            console.log('⚠️ Dashboard element not found, trying alternative login detection...');
-            // Fallback to navigation wait
-            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
-        }
+        // Log in
+        logger.info({ url: config.loginUrl }, 'Navigating to F22 Labs login page');
+        await runStep(page, 'login-page', () => page.goto(config.loginUrl, { waitUntil: 'networkidle2' }));
+        await runStep(page, 'email', async () => (await find(page, 'email')).type(process.env.F22_EMAIL));
+        await runStep(page, 'password', async () => (await find(page, 'password')).type(process.env.F22_PASSWORD));
+        await runStep(page, 'submit', () => click(page, 'submit'));
+        await runStep(page, 'dashboard', () => find(page, 'dashboard'));
+        logger.info('Login successful - Dashboard detected');
         
         // Navigate to the API management page
-        console.log('📍 Navigating to API management page...');
-        await page.goto(requiredEnvVars.F22_API_URL, { waitUntil: 'networkidle2' });
-        
-        // Wait for the restart button to be available
-        console.log('🔍 Looking for restart button...');
-        await page.waitForSelector('button[aria-label="restart"]', { timeout: 15000 });
-        
-        // Scroll the restart button into view and ensure it's clickable
-        console.log('📜 Scrolling restart button into view...');
-        const restartButton = await page.$('button[aria-label="restart"]');
-        await restartButton.scrollIntoView();
-        
-        // Wait a bit for any animations/loading to complete
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Try multiple click methods to ensure it works
-        console.log('🔄 Clicking restart button...');
-        try {
-            // First try: Regular click
-            await page.click('button[aria-label="restart"]');
-        } catch (error) {
-            console.log('⚠️ Regular click failed, trying JavaScript click...');
-            // Fallback: JavaScript click
-            await page.evaluate(() => {
-                const button = document.querySelector('button[aria-label="restart"]');
-                if (button) button.click();
-            });
-        }
-        
-        // Wait a moment to ensure the action is processed
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        console.log('✅ App restart initiated successfully!');
-        
-        // Optional: Wait for any confirmation or status change
-        try {
-            // You can add additional waits here if there are visual confirmations
-            console.log('⏳ Waiting for restart confirmation...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        } catch (error) {
-            console.log('ℹ️ No specific confirmation detected, but restart was triggered.');
+        logger.info({ url: config.apiUrl }, 'Navigating to API management page');
+        await runStep(page, 'api-page', () => page.goto(config.apiUrl, { waitUntil: 'networkidle2' }));
+
+        // Wait for the restart button first, so the status has loaded along with the page
+        await runStep(page, 'restart', () => find(page, 'restart'));
+        const statusBefore = await readStatus(page);
+        logger.info({ status: statusBefore }, 'Clicking restart button');
+        await runStep(page, 'restart', () => click(page, 'restart'));
+        if (config.steps.confirm.length > 0) {
+            await runStep(page, 'confirm', () => click(page, 'confirm'));
         }
         
-    } catch (error) {
-        console.error('❌ Error during automation:', error.message);
-        console.error('🔍 Error details:', error.stack);
-        
-        throw error;
+        const statusAfter = await runStep(page, 'status', () => waitForRestart(page, statusBefore));
+        logger.info({ status_before: statusBefore, status_after: statusAfter }, 'App restart confirmed');
+
+        return { statusBefore, statusAfter };
     } finally {
         await browser.close();
-        console.log('🔒 Browser closed');
+        logger.debug('Browser closed');
     }
 }
 
@@ -147,13 +223,14 @@ async function restartF22LabsApp() {
 if (require.main === module) {
     restartF22LabsApp()
         .then(() => {
-            console.log('🎉 Automation completed successfully!');
+            logger.info('Automation completed successfully');
             process.exit(0);
         })
         .catch((error) => {
-            console.error('💥 Automation failed:', error.message);
+            logger.fatal({ err: error }, 'Automation failed');
             process.exit(1);
         });
 }
 
 module.exports = restartF22LabsApp;
+module.exports.missingConfig = missingConfig;
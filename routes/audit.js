@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/audit');
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: API audit log
+ *     description: Returns the recorded API requests, newest first, with the API key or JWT subject that made each one. Requests needing the operator or admin role are always recorded, as are rejected ones; read-only requests only with AUDIT_READ_REQUESTS=true.
+ *     tags: [Audit]
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     skip:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/', validate('GET /audit'), async (req, res) => {
+  try {
+    const { key_id, status_code, since, limit, skip } = req.query;
+
+    const filter = {};
+    if (key_id) filter.key_id = key_id;
+    if (status_code) filter.status_code = status_code;
+    if (since) filter.created_at = { $gte: since };
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      entries,
+      pagination: { total, limit, skip },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in audit endpoint');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
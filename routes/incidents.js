@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router();
+const Incident = require('../models/Incident');
+const { acknowledgeIncident, resolveIncident } = require('../services/incidents');
+const { notify } = require('../services/alerts');
+const { requireRole } = require('../utils/auth');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/incidents');
+
+// 404 or 409 for an incident that could not be acknowledged or resolved
+async function notChangeable(res, id, action) {
+  const existing = await Incident.findById(id).select('state').lean();
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: `Incident with ID ${id} not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.status(409).json({
+    success: false,
+    message: `Incident ${id} cannot be ${action} (state: ${existing.state})`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * @swagger
+ * /incidents:
+ *   get:
+ *     summary: List incidents
+ *     description: Returns the outages seen by the health monitor and the fleet anomalies seen by the sweep, newest first. The failed checks of one health URL are grouped into one incident until a check passes or an operator resolves it; fleet anomalies share one incident until a sweep finds none or, when it pauses logouts, an operator resolves it. Events are omitted; fetch a single incident to see them.
+ *     tags: [Incidents]
+ *     responses:
+ *       200:
+ *         description: List of incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 incidents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Incident'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     skip:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/', validate('GET /incidents'), async (req, res) => {
+  try {
+    const { state, source, limit, skip } = req.query;
+
+    const filter = {};
+    if (state) filter.state = state;
+    if (source) filter.source = source;
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(filter)
+        .select('-events')
+        .sort({ opened_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Incident.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      incidents,
+      pagination: { total, limit, skip },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in incidents endpoint');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incidents',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}:
+ *   get:
+ *     summary: Get an incident
+ *     description: Returns a single incident with its events (opened, alerted, escalated, reminded, suppressed, acknowledged, resolved)
+ *     tags: [Incidents]
+ *     responses:
+ *       200:
+ *         description: Incident details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 incident:
+ *                   $ref: '#/components/schemas/Incident'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Incident not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', validate('GET /incidents/{id}'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const incident = await Incident.findById(id).lean();
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: `Incident with ID ${id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ incident_id: req.params.id, err: error }, 'Error fetching incident');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incident',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an incident
+ *     description: Marks an open incident as being handled. The health monitor stops escalating it and sending reminders, and skips the manual intervention alert; it still alerts about restart attempts and the recovery. The sweep stops alerting about new fleet anomalies, but a pause of logouts stays in place.
+ *     tags: [Incidents]
+ *     responses:
+ *       200:
+ *         description: Incident acknowledged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 incident:
+ *                   $ref: '#/components/schemas/Incident'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Incident not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Incident is not open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/acknowledge', requireRole('operator'), validate('POST /incidents/{id}/acknowledge'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const by = req.auth?.id ?? 'anonymous';
+
+    const incident = await acknowledgeIncident(id, by, req.body.note);
+
+    if (!incident) {
+      return notChangeable(res, id, 'acknowledged');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Incident acknowledged by ${by}`,
+      incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ incident_id: req.params.id, err: error }, 'Error acknowledging incident');
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging incident',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/resolve:
+ *   post:
+ *     summary: Resolve an incident
+ *     description: Closes an open or acknowledged incident and sends a good alert, which resolves its PagerDuty incident. If the health checks keep failing, the monitor opens a new incident. Resolving a fleet anomaly that pauses logouts confirms the fleet is fine, and the sweep logs instances out again.
+ *     tags: [Incidents]
+ *     responses:
+ *       200:
+ *         description: Incident resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 incident:
+ *                   $ref: '#/components/schemas/Incident'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Incident not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Incident is already resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/resolve', requireRole('operator'), validate('POST /incidents/{id}/resolve'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const by = req.auth?.id ?? 'anonymous';
+
+    const incident = await resolveIncident(id, by, req.body.note);
+
+    if (!incident) {
+      return notChangeable(res, id, 'resolved');
+    }
+
+    await notify({
+      severity: 'good',
+      title: 'Incident Resolved',
+      text: `${incident.title} was resolved by ${by}.${req.body.note ? `\n\n${req.body.note}` : ''}`,
+      source: incident.source,
+      fields: { Incident: String(incident._id) },
+      dedupKey: incident.key
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Incident resolved by ${by}`,
+      incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ incident_id: req.params.id, err: error }, 'Error resolving incident');
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving incident',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,77 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const User = require('../models/User');
-
-// GET /api/stats/instance?instance_id=xxx OR ?mobile_number=xxx
-router.get('/instance', async (req, res) => {
+const InstanceEvent = require('../models/InstanceEvent');
+const { forEachInstance } = require('../utils/pool');
+const {
+  fetchInstances,
+  fetchInstanceDetails,
+  baileyState,
+  CodechatError,
+  CircuitOpenError,
+  InstanceNotFoundError,
+  UnreachableError
+} = require('../services/codechat');
+const { getStrikes } = require('../services/remediation');
+const { PENDING_IMPACT_WINDOW_MS, findUsersAtRisk } = require('../services/impact');
+const { validate } = require('../utils/validation');
+const { observeFleet } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/instance');
+
+/**
+ * @swagger
+ * /api/stats/instance:
+ *   get:
+ *     summary: Status of one instance
+ *     description: Returns the MongoDB, Codechat and Bailey (WhatsApp) status of the instance of a user, found by instance_id or mobile_number, with the strikes it has collected towards a remediation action
+ *     tags: [Stats]
+ *     responses:
+ *       200:
+ *         description: Instance status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mobile_number:
+ *                   type: string
+ *                 instance_id:
+ *                   type: string
+ *                 MongoDB_Status:
+ *                   type: string
+ *                 Codechat_Status:
+ *                   type: string
+ *                 Bailey_Status:
+ *                   type: string
+ *                   nullable: true
+ *                 Strikes:
+ *                   type: object
+ *                   nullable: true
+ *       400:
+ *         description: The user has no instance ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User or instance not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/instance', validate('GET /api/stats/instance'), async (req, res) => {
   try {
     const { instance_id, mobile_number } = req.query;
 
-    // Validate input - either instance_id or mobile_number must be provided
-    if (!instance_id && !mobile_number) {
-      return res.status(400).json({
-        error: 'Either instance_id or mobile_number must be provided'
-      });
-    }
-
     let user;
     let finalInstanceId;
     let mobileNumber;
@@ -36,25 +93,25 @@ router.get('/instance', async (req, res) => {
       });
     }
 
+    // Without an instance ID Codechat would list the whole fleet
+    if (!finalInstanceId) {
+      return res.status(400).json({
+        error: 'Instance ID not found for this user'
+      });
+    }
+
     const mongoStatus = user.status;
 
     // Step 2: Call CODECHT API to fetch instances
-    const instancesResponse = await axios.get(
-      `${process.env.CODECHAT_URL}/instance/fetchInstances?instanceName=${finalInstanceId}`,
-      {
-        headers: {
-          'apiKey': process.env.API_KEY
-        }
-      }
-    );
+    const instances = await fetchInstances(finalInstanceId);
 
-    if (!instancesResponse.data || instancesResponse.data.length === 0) {
+    if (instances.length === 0 || !instances[0]) {
       return res.status(404).json({
         error: 'Instance not found in CODECHT API'
       });
     }
 
-    const instanceData = instancesResponse.data[0];
+    const instanceData = instances[0];
     const connectionStatus = instanceData.connectionStatus;
     const token = instanceData.Auth?.token;
 
@@ -63,49 +120,58 @@ router.get('/instance', async (req, res) => {
     // Step 3: If connection status is ONLINE, call the detailed instance endpoint
     if (connectionStatus === 'ONLINE' && token) {
       try {
-        const detailedResponse = await axios.get(
-          `${process.env.CODECHAT_URL}/instance/fetchInstance/${finalInstanceId}`,
-          {
-            headers: {
-              'apiKey': process.env.API_KEY,
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-
-        baileyStatus = detailedResponse.data.Whatsapp?.connection?.state || null;
+        const instanceDetails = await fetchInstanceDetails(finalInstanceId, token);
+        baileyStatus = baileyState(instanceDetails);
       } catch (error) {
-        console.error('Error fetching detailed instance data:', error.message);
+        logger.error({ instance_id: finalInstanceId, err: error }, 'Error fetching detailed instance data');
         // Continue with the response even if this call fails
       }
     }
 
-    // Step 4: Return formatted response
+    // Step 4: Strikes the instance has collected towards a remediation action
+    let strikes = null;
+    try {
+      strikes = await getStrikes(finalInstanceId);
+    } catch (mongoError) {
+      logger.error({ instance_id: finalInstanceId, err: mongoError }, 'Error fetching strikes');
+    }
+
+    // Step 5: Return formatted response
     const response = {
       mobile_number: mobileNumber,
       instance_id: finalInstanceId,
       MongoDB_Status: mongoStatus,
       Codechat_Status: connectionStatus,
-      Bailey_Status: baileyStatus
+      Bailey_Status: baileyStatus,
+      Strikes: strikes
     };
 
     res.json(response);
 
   } catch (error) {
-    console.error('Error in instance stats endpoint:', error);
+    logger.error({ err: error }, 'Error in instance stats endpoint');
     
-    if (error.response) {
-      // Axios error with response
-      return res.status(error.response.status).json({
-        error: 'External API error',
-        message: error.response.data?.message || error.message
+    if (error instanceof InstanceNotFoundError) {
+      return res.status(404).json({
+        error: 'Instance not found in CODECHT API',
+        message: error.message
       });
-    } else if (error.request) {
-      // Axios error without response
+    } else if (error instanceof CircuitOpenError) {
+      return res.status(503).json({
+        error: 'External service unavailable',
+        message: 'Codechat circuit breaker is open; try again later'
+      });
+    } else if (error instanceof UnreachableError) {
       return res.status(503).json({
         error: 'External service unavailable',
         message: 'Unable to connect to CODECHT API'
       });
+    } else if (error instanceof CodechatError) {
+      // Codechat answered with an error
+      return res.status(error.status || 502).json({
+        error: 'External API error',
+        message: error.message
+      });
     } else {
       // Other errors
       return res.status(500).json({
@@ -116,19 +182,260 @@ router.get('/instance', async (req, res) => {
   }
 });
 
-router.get('/all-instances', async (req, res) => {
+/**
+ * @swagger
+ * /api/stats/instance/{instance_id}/history:
+ *   get:
+ *     summary: Instance state-transition history
+ *     description: Returns the audit trail of actions the monitor took for an instance (reconnects, logouts, OFFLINE marking), newest first
+ *     tags: [Stats]
+ *     responses:
+ *       200:
+ *         description: Instance history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 instance_id:
+ *                   type: string
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InstanceEvent'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/instance/:instance_id/history', validate('GET /api/stats/instance/{instance_id}/history'), async (req, res) => {
   try {
-    const instancesResponse = await axios.get(
-      `${process.env.CODECHAT_URL}/instance/fetchInstances`,
-      {
-        headers: {
-          'accept': 'application/json',
-          'apiKey': process.env.API_KEY
-        }
-      }
-    );
+    const { instance_id } = req.params;
+    const { reason, since, limit } = req.query;
+
+    const filter = { instance_id };
+    if (reason) filter.reason = reason;
+    if (since) filter.created_at = { $gte: since };
+
+    const events = await InstanceEvent.find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      instance_id,
+      events,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ instance_id: req.params.instance_id, err: error }, 'Error in instance history endpoint');
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/at-risk:
+ *   get:
+ *     summary: Users at risk of missed sends
+ *     description: Lists users with pending messages, sequences or group messages due within the window whose instance is not connected to WhatsApp (missing from Codechat, not ONLINE, or a Bailey state other than open), soonest send first
+ *     tags: [Stats]
+ *     responses:
+ *       200:
+ *         description: Users at risk
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 window_ms:
+ *                   type: integer
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AtRiskUser'
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     usersWithPendingSends:
+ *                       type: integer
+ *                     atRisk:
+ *                       type: integer
+ *                     pendingMessages:
+ *                       type: integer
+ *                     sequences:
+ *                       type: integer
+ *                     groups:
+ *                       type: integer
+ *                     undetermined:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/at-risk', validate('GET /api/stats/at-risk'), async (req, res) => {
+  try {
+    const { windowMs = PENDING_IMPACT_WINDOW_MS } = req.query;
+
+    const { users, statistics } = await findUsersAtRisk({ windowMs });
 
-    if (!instancesResponse.data || instancesResponse.data.length === 0) {
+    res.status(200).json({
+      success: true,
+      window_ms: windowMs,
+      users,
+      statistics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in at-risk endpoint');
+
+    if (error instanceof CircuitOpenError) {
+      return res.status(503).json({
+        success: false,
+        error: 'External service unavailable',
+        message: 'Codechat circuit breaker is open; try again later',
+        timestamp: new Date().toISOString()
+      });
+    } else if (error instanceof UnreachableError) {
+      return res.status(503).json({
+        success: false,
+        error: 'External service unavailable',
+        message: 'Unable to connect to CODECHT API',
+        timestamp: new Date().toISOString()
+      });
+    } else if (error instanceof CodechatError) {
+      return res.status(error.status || 502).json({
+        success: false,
+        error: 'External API error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/stats/all-instances:
+ *   get:
+ *     summary: Status of every instance
+ *     description: Lists every Codechat instance with its MongoDB user and, for ONLINE instances, its Bailey state, with statistics over the whole fleet. Also updates the instance gauges of GET /metrics.
+ *     tags: [Stats]
+ *     responses:
+ *       200:
+ *         description: Instances and statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 instances:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       instance_id:
+ *                         type: string
+ *                       instance_name:
+ *                         type: string
+ *                       mobile_number:
+ *                         type: string
+ *                         nullable: true
+ *                       user_name:
+ *                         type: string
+ *                         nullable: true
+ *                       user_email:
+ *                         type: string
+ *                         nullable: true
+ *                       MongoDB_Status:
+ *                         type: string
+ *                         description: Status of the MongoDB user, or NOT_FOUND
+ *                       Codechat_Status:
+ *                         type: string
+ *                       Bailey_Status:
+ *                         type: string
+ *                         nullable: true
+ *                       WhatsApp_Details:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           state:
+ *                             type: string
+ *                             nullable: true
+ *                           isConnected:
+ *                             type: boolean
+ *                           qrCode:
+ *                             type: string
+ *                             nullable: true
+ *                       hasMongoRecord:
+ *                         type: boolean
+ *                       lastUpdated:
+ *                         type: string
+ *                         format: date-time
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     totalInstances:
+ *                       type: integer
+ *                     onlineInstances:
+ *                       type: integer
+ *                     offlineInstances:
+ *                       type: integer
+ *                     totalUsers:
+ *                       type: integer
+ *                     usersWithInstances:
+ *                       type: integer
+ *                     instancesWithMongoRecord:
+ *                       type: integer
+ *                     instancesWithoutMongoRecord:
+ *                       type: integer
+ *                     connectedWhatsApp:
+ *                       type: integer
+ *                     disconnectedWhatsApp:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/all-instances', validate('GET /api/stats/all-instances'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const codechatInstances = await fetchInstances();
+
+    if (codechatInstances.length === 0) {
+      observeFleet([], []);
       return res.status(200).json({
         success: true,
         message: 'No instances found',
@@ -144,10 +451,6 @@ router.get('/all-instances', async (req, res) => {
       });
     }
 
-    const codechatInstances = Array.isArray(instancesResponse.data) 
-      ? instancesResponse.data 
-      : [instancesResponse.data];
-
     const mongoUsers = await User.find({}).select('instance_id mobile_number status name email').lean();
 
     const userMap = new Map();
@@ -157,50 +460,44 @@ router.get('/all-instances', async (req, res) => {
       }
     });
 
-    const instancesWithStats = [];
     let onlineCount = 0;
     let offlineCount = 0;
+    const baileyStates = [];
 
-    for (const instance of codechatInstances) {
+    // Instance details are fetched through the worker pool; results keep Codechat's order
+    const instancesWithStats = await forEachInstance(codechatInstances, async (instance) => {
       const instanceId = instance.name || instance.id;
       const connectionStatus = instance.connectionStatus;
       const token = instance.Auth?.token;
       const mongoUser = userMap.get(instanceId);
 
       let baileyStatus = null;
+      let baileyKnown = false;
       let whatsappDetails = null;
 
       if (connectionStatus === 'ONLINE' && token) {
         try {
-          const detailedResponse = await axios.get(
-            `${process.env.CODECHAT_URL}/instance/fetchInstance/${instanceId}`,
-            {
-              headers: {
-                'accept': 'application/json',
-                'apiKey': process.env.API_KEY,
-                'Authorization': `Bearer ${token}`
-              }
-            }
-          );
-
-          baileyStatus = detailedResponse.data.Whatsapp?.connection?.state || null;
+          const instanceDetails = await fetchInstanceDetails(instanceId, token);
+          baileyStatus = baileyState(instanceDetails);
+          baileyKnown = true;
           whatsappDetails = {
             state: baileyStatus,
             isConnected: baileyStatus === 'open',
-            qrCode: detailedResponse.data.qr || null
+            qrCode: instanceDetails.qr || null
           };
         } catch (error) {
-          console.error(`Error fetching detailed data for instance ${instanceId}:`, error.message);
+          logger.error({ instance_id: instanceId, err: error }, 'Error fetching detailed data for instance');
         }
       }
 
       if (connectionStatus === 'ONLINE') {
         onlineCount++;
+        baileyStates.push(baileyKnown ? baileyStatus : undefined);
       } else {
         offlineCount++;
       }
 
-      const instanceStats = {
+      return {
         instance_id: instanceId,
         instance_name: instance.name,
         mobile_number: mongoUser?.mobile_number || null,
@@ -213,9 +510,8 @@ router.get('/all-instances', async (req, res) => {
         hasMongoRecord: !!mongoUser,
         lastUpdated: new Date().toISOString()
       };
-
-      instancesWithStats.push(instanceStats);
-    }
+    });
+    observeFleet(codechatInstances, baileyStates);
 
     const statistics = {
       totalInstances: codechatInstances.length,
@@ -232,28 +528,35 @@ router.get('/all-instances', async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'All instances fetched successfully',
-      instances: instancesWithStats,
+      instances: status ? instancesWithStats.filter(i => i.Codechat_Status === status) : instancesWithStats,
       statistics,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in all-instances endpoint:', error);
+    logger.error({ err: error }, 'Error in all-instances endpoint');
     
-    if (error.response) {
-      return res.status(error.response.status || 500).json({
+    if (error instanceof CircuitOpenError) {
+      return res.status(503).json({
         success: false,
-        error: 'External API error',
-        message: error.response.data?.message || error.message,
+        error: 'External service unavailable',
+        message: 'Codechat circuit breaker is open; try again later',
         timestamp: new Date().toISOString()
       });
-    } else if (error.request) {
+    } else if (error instanceof UnreachableError) {
       return res.status(503).json({
         success: false,
         error: 'External service unavailable',
         message: 'Unable to connect to CODECHT API',
         timestamp: new Date().toISOString()
       });
+    } else if (error instanceof CodechatError) {
+      return res.status(error.status || 502).json({
+        success: false,
+        error: 'External API error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
     } else {
       return res.status(500).json({
         success: false,
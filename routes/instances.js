@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { CircuitOpenError, UnreachableError, CodechatError } = require('../services/codechat');
+const { getPairingSession, refreshQr, verifyLinkToken } = require('../services/pairing');
+const { requireRole } = require('../utils/auth');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/instances');
+
+const requireOperator = requireRole('operator');
+
+// A pairing link carries its own token, checked by the route; anyone else must be an operator
+function requireOperatorOrPairingToken(req, res, next) {
+  if (req.query.token !== undefined) return next();
+  requireOperator(req, res, next);
+}
+
+/**
+ * @swagger
+ * /instances/{id}/qr:
+ *   get:
+ *     summary: Pairing QR code of an instance
+ *     description: Returns the QR code Codechat gave when the monitor last reconnected the instance, for the user to scan with WhatsApp before the remediation policy logs the instance out. An expired QR is refreshed from Codechat first. Responds with PNG for format=png or an Accept header preferring image/png, and JSON otherwise. Pairing links sent to users carry a token, which must match.
+ *     tags: [Instances]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: QR code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 instance_id:
+ *                   type: string
+ *                 qr:
+ *                   type: object
+ *                   nullable: true
+ *                   description: null when Codechat no longer returns a QR, e.g. because the instance is connecting again
+ *                   properties:
+ *                     base64:
+ *                       type: string
+ *                       description: data:image/png;base64 URL of the QR image
+ *                     code:
+ *                       type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                 started_at:
+ *                   type: string
+ *                   format: date-time
+ *                 logout_after:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Time before which the instance is not logged out for this QR; the first sweep after it that has collected the strikes of the rule logs it out if the QR was not scanned
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired pairing link token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The instance is not waiting for a QR scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/qr', requireOperatorOrPairingToken, validate('GET /instances/{id}/qr'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.query;
+    const wantsPng = req.query.format === 'png'
+      || (req.query.format !== 'json' && req.accepts(['application/json', 'image/png']) === 'image/png');
+
+    let session = await getPairingSession(id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `Instance ${id} is not waiting for a QR scan`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (token !== undefined) {
+      const tokenError = verifyLinkToken(session, token);
+      if (tokenError) {
+        return res.status(403).json({
+          success: false,
+          message: tokenError,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    session = await refreshQr(session);
+
+    if (wantsPng) {
+      if (!session.qr_base64) {
+        return res.status(404).json({
+          success: false,
+          message: `No QR code available for instance ${id}; it may be connecting again`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      const image = Buffer.from(session.qr_base64.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+      res.set('Cache-Control', 'no-store');
+      return res.type('png').send(image);
+    }
+
+    res.status(200).json({
+      success: true,
+      instance_id: id,
+      qr: session.qr_base64
+        ? { base64: session.qr_base64, code: session.qr_code, expires_at: session.qr_expires_at }
+        : null,
+      started_at: session.started_at,
+      logout_after: session.logout_after,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ instance_id: req.params.id, err: error }, 'Error in QR endpoint');
+
+    const status = error instanceof CircuitOpenError || error instanceof UnreachableError
+      ? 503
+      : error instanceof CodechatError ? 502 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error fetching QR code',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
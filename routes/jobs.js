@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, cancelJob } = require('../utils/jobs');
+const { requireRole } = require('../utils/auth');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/jobs');
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a background job
+ *     description: Returns the status, progress (instances processed / total), the per-instance results collected so far and, once finished, the final statistics of a job started by GET /check-instances, POST /logout-all-instances or POST /reconcile-statuses
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Cancel a background job
+ *     description: Asks a running job to stop. Instances already being processed are finished; no new ones are started. The job then ends with status `cancelled`.
+ *     tags: [Jobs]
+ *     responses:
+ *       202:
+ *         description: Cancellation requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Job has already finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', validate('GET /jobs/{id}'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await getJob(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job with ID ${id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ job_id: req.params.id, err: error }, 'Error fetching job');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.delete('/:id', requireRole('admin'), validate('DELETE /jobs/{id}'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await cancelJob(id);
+
+    if (!job) {
+      const existing = await getJob(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: `Job with ID ${id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: `Job ${id} has already finished (status: ${existing.status})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ job_id: req.params.id, err: error }, 'Error cancelling job');
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling job',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
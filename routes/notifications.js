@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/notifications');
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List customer notifications
+ *     description: Returns the notifications the monitor sent (or tried to send) to customers whose instance was logged out, newest first, including the ones held back by the per-user rate limit
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: List of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     skip:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get('/', validate('GET /notifications'), async (req, res) => {
+  try {
+    const { user_id, instance_id, channel, status, limit, skip } = req.query;
+
+    const filter = {};
+    if (user_id) filter.user_id = user_id;
+    if (instance_id) filter.instance_id = instance_id;
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      notifications,
+      pagination: { total, limit, skip },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in notifications endpoint');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { acquireSweepLock } = require('../utils/lock');
+const { validate } = require('../utils/validation');
+const { CircuitOpenError, UnreachableError, CodechatError } = require('../services/codechat');
+const { findOrphans, createApprovalToken, verifyApprovalToken, cleanupOrphans } = require('../services/orphans');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/orphans');
+
+// Map Codechat failures to 503/502 and anything else to 500
+function sendError(res, error, message) {
+  const status = error instanceof CircuitOpenError || error instanceof UnreachableError
+    ? 503
+    : error instanceof CodechatError ? 502 : 500;
+
+  res.status(status).json({
+    success: false,
+    message,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * @swagger
+ * /orphans:
+ *   get:
+ *     summary: Orphan report
+ *     description: Lists Codechat instances that no user points to, and users whose instance_id no longer exists in Codechat, with their age and last known state. The response includes an approval token covering the listed orphans, for POST /orphans/cleanup; it covers at most ORPHAN_APPROVAL_MAX_INSTANCES instances. No instance is listed while MongoDB has no users with an instance_id, and no user while Codechat lists no instances, since either is more likely an outage or the wrong database.
+ *     tags: [Orphans]
+ *     responses:
+ *       200:
+ *         description: Orphan report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 instances:
+ *                   type: array
+ *                   description: Codechat instances without a MongoDB user
+ *                   items:
+ *                     $ref: '#/components/schemas/OrphanInstance'
+ *                 users:
+ *                   type: array
+ *                   description: Users whose instance_id is not on Codechat
+ *                   items:
+ *                     $ref: '#/components/schemas/DanglingUser'
+ *                 approval:
+ *                   $ref: '#/components/schemas/OrphanApproval'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { instances, users } = await findOrphans();
+    const targets = {
+      deleteInstances: instances.map(instance => instance.instance_id),
+      clearUsers: users.map(user => user.user_id)
+    };
+
+    res.status(200).json({
+      success: true,
+      instances,
+      users,
+      approval: instances.length + users.length > 0 ? createApprovalToken(targets) : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in orphans endpoint');
+    sendError(res, error, 'Error building orphan report');
+  }
+});
+
+/**
+ * @swagger
+ * /orphans/cleanup:
+ *   post:
+ *     summary: Clean up orphans
+ *     description: Deletes the given orphan instances from Codechat and clears the instance_id of the given dangling users. Each target is checked again and skipped if it is no longer an orphan. Unless dryRun is set, the request needs an approval token for exactly these targets, as returned by GET /orphans or by a dry run of the same cleanup.
+ *     tags: [Orphans]
+ *     responses:
+ *       200:
+ *         description: Cleanup result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     deleted:
+ *                       type: integer
+ *                     cleared:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 approval:
+ *                   $ref: '#/components/schemas/OrphanApproval'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Missing, expired or mismatched approval token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A sweep is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SweepAlreadyRunning'
+ */
+router.post('/cleanup', validate('POST /orphans/cleanup'), async (req, res) => {
+  const { dryRun } = req.query;
+  const { deleteInstances, clearUsers, approvalToken } = req.body;
+
+  if (!dryRun) {
+    const tokenError = verifyApprovalToken(approvalToken, { deleteInstances, clearUsers });
+    if (tokenError) {
+      return res.status(403).json({
+        success: false,
+        message: `${tokenError}. Run the same cleanup with dryRun=true, or GET /orphans, to get an approval token.`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const { lock, error: lockError } = await acquireSweepLock('orphans-cleanup');
+  if (lockError) {
+    return res.status(lockError.alreadyRunning ? 409 : 503).json({
+      ...lockError,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await cleanupOrphans({ deleteInstances, clearUsers, dryRun });
+    res.status(200).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in orphans cleanup endpoint');
+    sendError(res, error, 'Error cleaning up orphans');
+  } finally {
+    await lock.release();
+  }
+});
+
+module.exports = router;
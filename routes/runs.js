@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const SweepRun = require('../models/SweepRun');
+const { validate } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('routes/runs');
+
+/**
+ * @swagger
+ * /runs:
+ *   get:
+ *     summary: List reconciliation runs
+ *     description: Returns recorded runs of the instance check sweep, newest first. Per-instance outcomes are omitted; fetch a single run to see them.
+ *     tags: [Monitor]
+ *     responses:
+ *       200:
+ *         description: List of runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SweepRun'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     skip:
+ *                       type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', validate('GET /runs'), async (req, res) => {
+  try {
+    const { trigger, status, limit, skip } = req.query;
+
+    const filter = {};
+    if (trigger) filter.trigger = trigger;
+    if (status) filter.status = status;
+
+    const [runs, total] = await Promise.all([
+      SweepRun.find(filter)
+        .select('-outcomes')
+        .sort({ started_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SweepRun.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      runs,
+      pagination: { total, limit, skip },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error in runs endpoint');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching runs',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /runs/{id}:
+ *   get:
+ *     summary: Get a reconciliation run
+ *     description: Returns a single run of the instance check sweep, including the outcome for every instance it checked
+ *     tags: [Monitor]
+ *     responses:
+ *       200:
+ *         description: Run details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 run:
+ *                   $ref: '#/components/schemas/SweepRun'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Run not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', validate('GET /runs/{id}'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = await SweepRun.findById(id).lean();
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `Run with ID ${id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error({ run_id: req.params.id, err: error }, 'Error fetching run');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching run',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const { z } = require('zod');
+
+// Codechat instance names end up in Codechat URLs, so only a safe charset is accepted
+const instanceName = z.string()
+    .regex(/^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/, 'Instance names may only contain letters, digits, ".", "_" and "-"')
+    .meta({ description: 'Codechat instance name', example: 'instance_abc' });
+
+// International format, digits only with an optional leading +
+const mobileNumber = z.string()
+    .regex(/^\+?[1-9]\d{7,14}$/, 'Mobile numbers must have 8 to 15 digits, with an optional leading +')
+    .meta({ example: '919876543210' });
+
+const objectId = z.string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Must be a 24-character hex ObjectId')
+    .meta({ example: '66f1c0ffee0000000000abcd' });
+
+// Query strings only carry text, so booleans are spelled out
+const queryBoolean = z.enum(['true', 'false'])
+    .default('false')
+    .transform(value => value === 'true');
+
+const dryRun = queryBoolean.meta({ description: 'Only report the actions that would be taken' });
+
+// Any date Date can parse, handed to the route as a Date
+const queryDate = z.string()
+    .refine(value => !isNaN(new Date(value).getTime()), 'Invalid date')
+    .transform(value => new Date(value))
+    .meta({ format: 'date-time' });
+
+// limit/skip query parameters of a listing endpoint
+function pagination({ defaultLimit, maxLimit }) {
+    return {
+        limit: z.coerce.number().int().min(1).max(maxLimit).default(defaultLimit),
+        skip: z.coerce.number().int().min(0).default(0)
+    };
+}
+
+// Responses carry dates as ISO 8601 strings
+const timestamp = z.string().meta({ format: 'date-time' });
+
+module.exports = {
+    instanceName,
+    mobileNumber,
+    objectId,
+    queryBoolean,
+    dryRun,
+    queryDate,
+    pagination,
+    timestamp
+};
@@ -0,0 +1,320 @@
+const { z } = require('zod');
+const { REASONS } = require('../models/InstanceEvent');
+const { STATES } = require('../models/Incident');
+const { timestamp } = require('./common');
+const { LEVELS } = require('../utils/logger');
+
+// Response shapes, published under #/components/schemas/<id> in the OpenAPI document
+const registry = z.registry();
+
+function component(id, schema) {
+    registry.add(schema, { id });
+    return schema;
+}
+
+// Free-form object, e.g. a stored event or the options a job was started with
+const anyObject = z.record(z.string(), z.any());
+
+const ACTIONS = ['none', 'reconnect', 'reconnect_logout', 'connect_logout', 'alert', 'retry_later'];
+
+const progress = z.object({
+    processed: z.number().int().meta({ description: 'Instances processed so far' }),
+    total: z.number().int().meta({ description: 'Instances to process' })
+});
+
+const Instance = component('Instance', z.object({
+    id: z.string().meta({ description: 'Unique instance identifier' }),
+    name: z.string().meta({ description: 'Instance name' }),
+    connectionStatus: z.enum(['ONLINE', 'OFFLINE']).meta({ description: 'Instance connection status' }),
+    whatsappState: z.string().optional().meta({ description: 'WhatsApp connection state' }),
+    Auth: z.object({
+        token: z.string().meta({ description: 'Authentication token' })
+    }).optional()
+}));
+
+const Statistics = component('Statistics', z.object({
+    totalInstances: z.number().int().meta({ description: 'Total number of instances' }),
+    onlineInstances: z.number().int().meta({ description: 'Number of online instances' }),
+    openConnections: z.number().int().meta({ description: 'Number of open WhatsApp connections' }),
+    closedConnections: z.number().int().meta({ description: 'Number of closed WhatsApp connections' }),
+    reconnected: z.number().int().meta({ description: 'Number of instances reconnected' }),
+    loggedOut: z.number().int().meta({ description: 'Number of instances logged out' }),
+    alerted: z.number().int().meta({ description: 'Number of instances the remediation policy raised an alert for' }),
+    deferred: z.number().int().meta({ description: 'Number of instances left for a later check (retry_later, within a grace period or while logouts are paused)' }),
+    nullBailey: z.number().int().optional().meta({ description: 'Number of online instances without a Bailey state' }),
+    lookupFailed: z.number().int().optional().meta({ description: 'Number of instances whose details could not be fetched' })
+}));
+
+const Anomaly = component('Anomaly', z.object({
+    metric: z.string().meta({ description: 'Statistic that crossed a threshold', example: 'nullBailey' }),
+    threshold: z.enum(['count', 'percent', 'baseline']),
+    value: z.number().int(),
+    limit: z.number().meta({ description: 'Threshold crossed: a count, a percentage or a factor of the baseline' }),
+    percent: z.number().optional().meta({ description: 'Share of the online instances, for a percent threshold' }),
+    baseline: z.number().optional().meta({ description: 'Average over recent complete sweeps, for a baseline threshold' }),
+    message: z.string()
+}).meta({ description: 'Sweep statistic that crossed a fleet anomaly threshold' }));
+
+const PendingImpact = component('PendingImpact', z.object({
+    window_ms: z.number().int().meta({ description: 'How far ahead pending sends were counted' }),
+    pending_messages: z.number().int().meta({ description: 'Pending or held messages scheduled within the window, overdue ones included' }),
+    overdue_messages: z.number().int().meta({ description: 'Pending messages whose scheduled time has passed' }),
+    next_scheduled_at: timestamp.nullable(),
+    sequences: z.number().int().meta({ description: 'Sequences with a send within the window' }),
+    groups: z.number().int().meta({ description: 'Pending group messages' })
+}).nullable().meta({ description: 'Sends the user had queued when the instance was logged out or marked OFFLINE' }));
+
+const InstanceOutcome = component('InstanceOutcome', z.object({
+    instance_id: z.string().meta({ description: 'Instance name' }),
+    codechat_status: z.string().meta({ description: 'Codechat connection status when checked' }),
+    bailey_state: z.string().nullable().meta({ description: 'Bailey (WhatsApp) connection state when checked' }),
+    action: z.enum(ACTIONS).meta({ description: 'Action taken for the instance' }),
+    rule: z.string().meta({ description: 'Remediation policy rule that decided the action' }),
+    success: z.boolean().meta({ description: 'Whether the action succeeded' }),
+    message: z.string().optional().meta({ description: 'Outcome description' }),
+    error: z.string().optional().meta({ description: 'Error message, if the action failed' }),
+    impact: PendingImpact.optional(),
+    checked_at: timestamp
+}));
+
+const SweepRun = component('SweepRun', z.object({
+    _id: z.string().meta({ description: 'Run ID' }),
+    trigger: z.enum(['cron', 'http']).meta({ description: 'What started the run' }),
+    dry_run: z.boolean().meta({ description: 'Whether actions were only reported, not taken' }),
+    correlation_id: z.string().optional().meta({ description: 'Correlation id of the log lines and Codechat calls of the run' }),
+    status: z.enum(['running', 'completed', 'failed', 'cancelled']),
+    started_at: timestamp,
+    finished_at: timestamp.optional(),
+    message: z.string().optional(),
+    error: z.string().optional(),
+    statistics: Statistics.optional(),
+    anomalies: z.array(Anomaly).optional().meta({ description: 'Fleet anomalies found in the statistics of a complete sweep' }),
+    outcomes: z.array(InstanceOutcome).optional()
+}));
+
+const InstanceEvent = component('InstanceEvent', z.object({
+    _id: z.string(),
+    instance_id: z.string().meta({ description: 'Instance name' }),
+    codechat_status: z.string().optional().meta({ description: 'Codechat connection status when observed' }),
+    bailey_state: z.string().nullable().optional().meta({ description: 'Bailey (WhatsApp) connection state when observed' }),
+    action: z.enum(['reconnect', 'reconnect_logout', 'connect_logout', 'alert', 'mark_online', 'mark_offline', 'delete_instance', 'clear_instance_id'])
+        .meta({ description: 'Action taken' }),
+    reason: z.enum(REASONS).meta({ description: 'Why the action was taken' }),
+    source: z.string().meta({ description: 'What triggered the action (cron, http or the endpoint name)' }),
+    run_id: z.string().optional().meta({ description: 'Sweep run the event belongs to, if any' }),
+    marked_offline: z.boolean().optional().meta({ description: 'Whether the user was marked OFFLINE in MongoDB' }),
+    held_messages: z.number().int().optional().meta({ description: 'Pending messages put on hold when the user was marked OFFLINE' }),
+    success: z.boolean(),
+    error: z.string().optional(),
+    impact: PendingImpact.optional(),
+    created_at: timestamp
+}));
+
+const AtRiskUser = component('AtRiskUser', z.object({
+    user_id: z.string(),
+    instance_id: z.string(),
+    mobile_number: z.string(),
+    mongo_status: z.string(),
+    codechat_status: z.string().nullable().meta({ description: 'null when Codechat does not know the instance' }),
+    bailey_state: z.string().nullable(),
+    cause: z.string().meta({ description: 'Why the instance cannot send' }),
+    undetermined: z.boolean().optional().meta({ description: 'The Bailey state could not be fetched, so the user may not be at risk' }),
+    impact: PendingImpact
+}));
+
+const SweepAlreadyRunning = component('SweepAlreadyRunning', z.object({
+    success: z.boolean().meta({ example: false }),
+    alreadyRunning: z.boolean().meta({ example: true }),
+    message: z.string().meta({ example: 'A sweep is already running' }),
+    activeSweep: z.object({
+        operation: z.string().meta({ example: 'check-instances' }),
+        runId: z.string().nullable(),
+        jobId: z.string().nullable().meta({ description: 'Job to poll at GET /jobs/{id}' }),
+        owner: z.string().meta({ description: 'hostname:pid:uuid of the process running the sweep' }),
+        startedAt: timestamp,
+        lastHeartbeat: timestamp,
+        progress: progress.optional()
+    }).nullable(),
+    timestamp
+}));
+
+const JobAccepted = component('JobAccepted', z.object({
+    success: z.boolean().meta({ example: true }),
+    message: z.string().meta({ example: 'check-instances started' }),
+    jobId: z.string(),
+    statusUrl: z.string().meta({ example: '/jobs/66f1c0ffee0000000000abcd' }),
+    timestamp
+}));
+
+const Job = component('Job', z.object({
+    _id: z.string().meta({ description: 'Job ID' }),
+    type: z.enum(['check-instances', 'logout-all-instances', 'reconcile-statuses']),
+    params: anyObject.meta({ description: 'Options the job was started with, e.g. dryRun' }),
+    status: z.enum(['running', 'completed', 'failed', 'cancelled']),
+    progress,
+    results: z.array(anyObject).meta({ description: 'Per-instance results collected so far' }),
+    statistics: anyObject.optional().meta({ description: 'Final statistics, once the job has finished' }),
+    run_id: z.string().optional().meta({ description: 'Sweep run recorded by a check-instances job' }),
+    message: z.string().optional(),
+    error: z.string().optional(),
+    cancel_requested: z.boolean(),
+    started_at: timestamp,
+    heartbeat_at: timestamp,
+    finished_at: timestamp.optional()
+}));
+
+const CircuitStatus = component('CircuitStatus', z.object({
+    state: z.enum(['closed', 'open', 'half_open']),
+    openedAt: timestamp.nullable(),
+    retryAt: timestamp.nullable().meta({ description: 'When the next trial call is allowed' }),
+    trialInFlight: z.boolean().meta({ description: 'Whether the single trial call of the half-open breaker is under way' }),
+    requests: z.number().int().meta({ description: 'Codechat calls in the rolling window' }),
+    failures: z.number().int().meta({ description: 'Transient failures in the rolling window' }),
+    errorRate: z.number()
+}).meta({ description: 'Codechat circuit breaker. While open, the sweep is paused and no connect or logout call is sent.' }));
+
+const OrphanInstance = component('OrphanInstance', z.object({
+    instance_id: z.string().meta({ description: 'Codechat instance name' }),
+    connection_status: z.string().meta({ description: 'Codechat connection status' }),
+    created_at: timestamp.nullable().meta({ description: 'When Codechat created the instance' }),
+    age_ms: z.number().int().nullable().meta({ description: 'Time since the instance was created' }),
+    last_event: anyObject.nullable().meta({ description: 'Latest audit event for the instance' })
+}));
+
+const DanglingUser = component('DanglingUser', z.object({
+    user_id: z.string(),
+    instance_id: z.string().meta({ description: 'instance_id that Codechat does not know' }),
+    mobile_number: z.string(),
+    mongo_status: z.string(),
+    last_seen_at: timestamp.nullable().meta({ description: 'Latest audit event for the instance, or the last update of the user' }),
+    age_ms: z.number().int().nullable().meta({ description: 'Time since last_seen_at' }),
+    last_event: anyObject.nullable().meta({ description: 'Latest audit event for the instance' })
+}));
+
+const OrphanApproval = component('OrphanApproval', z.object({
+    token: z.string(),
+    expiresAt: timestamp,
+    deleteInstances: z.array(z.string()),
+    clearUsers: z.array(z.string()),
+    remainingInstances: z.number().int().meta({ description: 'Orphan instances left out because a token covers at most ORPHAN_APPROVAL_MAX_INSTANCES of them' })
+}).nullable().meta({ description: 'Approval for POST /orphans/cleanup of exactly the listed targets' }));
+
+const Notification = component('Notification', z.object({
+    _id: z.string(),
+    user_id: z.string(),
+    instance_id: z.string(),
+    channel: z.enum(['email', 'webhook']),
+    recipient: z.string().meta({ description: 'Email address or mobile number' }),
+    template: z.string().meta({ example: 'reconnect' }),
+    reason: z.string().meta({ description: 'Reason of the logout that triggered the notification' }),
+    status: z.enum(['sent', 'failed', 'rate_limited']),
+    subject: z.string(),
+    text: z.string(),
+    source: z.string().optional().meta({ description: 'What triggered the logout (cron, http or the endpoint name)' }),
+    error: z.string().optional(),
+    created_at: timestamp
+}));
+
+const Incident = component('Incident', z.object({
+    _id: z.string(),
+    key: z.string().meta({ description: 'What failed; at most one active incident per key', example: 'health-monitor:prod:https://api.example.com/health' }),
+    source: z.string().meta({ example: 'health-monitor' }),
+    title: z.string(),
+    state: z.enum(STATES),
+    active: z.boolean().meta({ description: 'Whether the incident is not resolved yet' }),
+    opened_at: timestamp,
+    failures: z.number().int().meta({ description: 'Failed checks so far' }),
+    last_failure_at: timestamp.optional(),
+    last_error: z.string().optional(),
+    tier: z.number().int().meta({ description: 'Highest escalation tier alerted (index into the incident policy), -1 before the first alert' }),
+    last_alert_at: timestamp.optional(),
+    alerts_sent: z.number().int(),
+    alerts_suppressed: z.number().int().meta({ description: 'Alerts held back by quiet hours or a maintenance window' }),
+    paged: z.boolean().meta({ description: 'Whether a danger alert went out' }),
+    details: z.array(Anomaly).optional().meta({ description: 'Anomalies found by the last sweep, for a fleet anomaly' }),
+    pauses_remediation: z.boolean().meta({ description: 'Whether the sweep holds logouts back until the incident is resolved' }),
+    slack_thread_ts: z.string().optional().meta({ description: 'Slack thread the alerts about the incident are posted to' }),
+    acknowledged_at: timestamp.optional(),
+    acknowledged_by: z.string().optional().meta({ description: 'API key id or jwt:<sub> of the operator' }),
+    resolved_at: timestamp.optional(),
+    resolved_by: z.string().optional().meta({ description: 'Operator, or health-monitor when a check passed again' }),
+    events: z.array(z.object({
+        type: z.enum(['opened', 'alerted', 'escalated', 'reminded', 'suppressed', 'acknowledged', 'resolved']),
+        message: z.string().optional(),
+        severity: z.enum(['good', 'warning', 'danger']).optional(),
+        by: z.string().optional(),
+        at: timestamp
+    })).optional().meta({ description: 'Only returned for a single incident' })
+}));
+
+const ApiResponse = component('ApiResponse', z.object({
+    success: z.boolean().meta({ description: 'Request success status' }),
+    message: z.string().meta({ description: 'Response message' }),
+    timestamp: timestamp.meta({ description: 'Response timestamp' })
+}));
+
+const AuditLogEntry = component('AuditLogEntry', z.object({
+    _id: z.string(),
+    key_id: z.string().nullable().meta({ description: 'API key id, or jwt:<sub>' }),
+    role: z.enum(['read_only', 'operator', 'admin']).nullable(),
+    auth_method: z.enum(['api_key', 'jwt']).nullable(),
+    http_method: z.string(),
+    path: z.string(),
+    query: anyObject,
+    status_code: z.number().int(),
+    required_role: z.string(),
+    ip: z.string(),
+    user_agent: z.string().optional(),
+    duration_ms: z.number().int(),
+    created_at: timestamp
+}));
+
+const ErrorResponse = component('ErrorResponse', z.object({
+    success: z.boolean().meta({ example: false }),
+    message: z.string().meta({ description: 'Error message' }),
+    error: z.string().optional().meta({ description: 'Detailed error information' }),
+    timestamp
+}));
+
+const LogLevel = component('LogLevel', z.object({
+    success: z.boolean().meta({ example: true }),
+    level: z.enum(LEVELS).meta({ description: 'Log level of the service' }),
+    timestamp
+}));
+
+const ValidationError = component('ValidationError', z.object({
+    success: z.boolean().meta({ example: false }),
+    message: z.string().meta({ example: 'Invalid request' }),
+    errors: z.array(z.object({
+        in: z.enum(['params', 'query', 'body']).meta({ description: 'Part of the request the problem is in' }),
+        path: z.string().meta({ description: 'Parameter or body field, dot-separated for nested fields', example: 'mobile_number' }),
+        message: z.string()
+    })),
+    timestamp
+}).meta({ description: 'Returned with 400 when params, query or body do not match the schema of the endpoint' }));
+
+module.exports = {
+    registry,
+    Instance,
+    Statistics,
+    Anomaly,
+    PendingImpact,
+    InstanceOutcome,
+    SweepRun,
+    InstanceEvent,
+    AtRiskUser,
+    SweepAlreadyRunning,
+    JobAccepted,
+    Job,
+    CircuitStatus,
+    OrphanInstance,
+    DanglingUser,
+    OrphanApproval,
+    Notification,
+    Incident,
+    ApiResponse,
+    AuditLogEntry,
+    ErrorResponse,
+    LogLevel,
+    ValidationError
+};
@@ -0,0 +1,182 @@
+const { z } = require('zod');
+const { REASONS } = require('../models/InstanceEvent');
+const { STATES } = require('../models/Incident');
+const { LEVELS } = require('../utils/logger');
+const { instanceName, mobileNumber, objectId, dryRun, queryDate, pagination } = require('./common');
+
+// Request schemas by operation ("METHOD /openapi/path"). Routes validate params, query
+// and body against them with utils/validation.js, and the parameters and request body of
+// the operation in the OpenAPI document are generated from them (utils/openapi.js).
+
+// instance_id or mobile_number, whichever the caller knows
+const userLookup = z.object({
+    instance_id: instanceName.optional(),
+    mobile_number: mobileNumber.optional()
+}).refine(query => query.instance_id || query.mobile_number, {
+    message: 'Either instance_id or mobile_number must be provided',
+    path: ['instance_id']
+});
+
+const jobId = z.object({
+    id: objectId.meta({ description: 'Job ID' })
+});
+
+const incidentId = z.object({
+    id: objectId.meta({ description: 'Incident ID' })
+});
+
+const incidentNote = z.object({
+    note: z.string().max(1000).optional().meta({ description: 'Note recorded on the incident event' })
+});
+
+module.exports = {
+    'GET /check-instances': {
+        query: z.object({
+            dryRun: dryRun.meta({ description: 'Classify every instance but only report the actions that would be taken' })
+        })
+    },
+
+    'GET /check-individual-instance/{instanceId}': {
+        params: z.object({
+            instanceId: instanceName
+        })
+    },
+
+    'POST /logout-all-instances': {
+        query: z.object({
+            dryRun: dryRun.meta({ description: 'Only report the instances that would be logged out' })
+        })
+    },
+
+    'POST /reconcile-statuses': {
+        query: z.object({
+            dryRun: dryRun.meta({ description: 'Report the drift without changing any status' })
+        })
+    },
+
+    'POST /logout-instance': {
+        query: userLookup
+    },
+
+    'GET /api/stats/instance': {
+        query: userLookup
+    },
+
+    'GET /api/stats/instance/{instance_id}/history': {
+        params: z.object({
+            instance_id: instanceName
+        }),
+        query: z.object({
+            reason: z.enum(REASONS).optional().meta({ description: 'Only return events with this reason code' }),
+            since: queryDate.optional().meta({ description: 'Only return events recorded at or after this time' }),
+            limit: pagination({ defaultLimit: 50, maxLimit: 500 }).limit
+        })
+    },
+
+    'GET /api/stats/at-risk': {
+        query: z.object({
+            windowMs: z.coerce.number().int().positive().optional()
+                .meta({ description: 'How far ahead to count pending sends (defaults to PENDING_IMPACT_WINDOW_MS)' })
+        })
+    },
+
+    'GET /api/stats/all-instances': {
+        query: z.object({
+            status: z.enum(['ONLINE', 'OFFLINE']).optional()
+                .meta({ description: 'Only list instances with this Codechat connection status; statistics still cover every instance' })
+        })
+    },
+
+    'GET /runs': {
+        query: z.object({
+            trigger: z.enum(['cron', 'http']).optional().meta({ description: 'Only return runs started by this trigger' }),
+            status: z.enum(['running', 'completed', 'failed', 'cancelled']).optional().meta({ description: 'Only return runs in this status' }),
+            ...pagination({ defaultLimit: 20, maxLimit: 100 })
+        })
+    },
+
+    'GET /runs/{id}': {
+        params: z.object({
+            id: objectId.meta({ description: 'Run ID' })
+        })
+    },
+
+    'GET /jobs/{id}': {
+        params: jobId
+    },
+
+    'DELETE /jobs/{id}': {
+        params: jobId
+    },
+
+    'POST /orphans/cleanup': {
+        query: z.object({
+            dryRun: dryRun.meta({ description: 'Only report what would be cleaned up, and return an approval token for it' })
+        }),
+        body: z.object({
+            deleteInstances: z.array(instanceName).default([]).meta({ description: 'Names of orphan Codechat instances to delete' }),
+            clearUsers: z.array(objectId).default([]).meta({ description: 'IDs of users whose dangling instance_id should be cleared' }),
+            approvalToken: z.string().optional().meta({ description: 'Approval token for these targets (not needed for a dry run)' })
+        }).refine(body => body.deleteInstances.length + body.clearUsers.length > 0, {
+            message: 'Nothing to clean up: pass deleteInstances and/or clearUsers'
+        })
+    },
+
+    'GET /notifications': {
+        query: z.object({
+            user_id: objectId.optional().meta({ description: 'Only return notifications for this user' }),
+            instance_id: instanceName.optional().meta({ description: 'Only return notifications about this instance' }),
+            channel: z.enum(['email', 'webhook']).optional(),
+            status: z.enum(['sent', 'failed', 'rate_limited']).optional(),
+            ...pagination({ defaultLimit: 20, maxLimit: 100 })
+        })
+    },
+
+    'GET /incidents': {
+        query: z.object({
+            state: z.enum(STATES).optional().meta({ description: 'Only return incidents in this state' }),
+            source: z.string().optional().meta({ description: 'Only return incidents raised by this component, e.g. health-monitor' }),
+            ...pagination({ defaultLimit: 20, maxLimit: 100 })
+        })
+    },
+
+    'GET /incidents/{id}': {
+        params: incidentId
+    },
+
+    'POST /incidents/{id}/acknowledge': {
+        params: incidentId,
+        body: incidentNote
+    },
+
+    'POST /incidents/{id}/resolve': {
+        params: incidentId,
+        body: incidentNote
+    },
+
+    'GET /instances/{id}/qr': {
+        params: z.object({
+            id: instanceName
+        }),
+        query: z.object({
+            format: z.enum(['json', 'png']).optional(),
+            token: z.string().optional().meta({ description: 'Token of a pairing link' })
+        })
+    },
+
+    'PUT /log-level': {
+        body: z.object({
+            level: z.enum(LEVELS).meta({ description: 'New log level; lines below it are dropped' })
+        })
+    },
+
+    'GET /audit': {
+        query: z.object({
+            key_id: z.string().optional().meta({ description: 'Only return requests made with this API key id (or jwt:<sub>)' }),
+            status_code: z.coerce.number().int().min(100).max(599).optional()
+                .meta({ description: 'Only return requests answered with this HTTP status, e.g. 403' }),
+            since: queryDate.optional(),
+            ...pagination({ defaultLimit: 50, maxLimit: 500 })
+        })
+    }
+};
@@ -1,22 +1,50 @@
+require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cron = require('node-cron');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const cors = require('cors');
 const connectDb = require('./config/connectDb')
 const statsRouter = require('./routes/instance')
+const runsRouter = require('./routes/runs')
 const User = require('./models/User')
-require('dotenv').config();
+const SweepRun = require('./models/SweepRun')
+const { forEachInstance } = require('./utils/pool')
+const { acquireSweepLock } = require('./utils/lock')
+const { startJob } = require('./utils/jobs')
+const jobsRouter = require('./routes/jobs')
+const orphansRouter = require('./routes/orphans')
+const notificationsRouter = require('./routes/notifications')
+const instancesRouter = require('./routes/instances')
+const incidentsRouter = require('./routes/incidents')
+const {
+    fetchInstances,
+    fetchInstanceDetails,
+    baileyState,
+    isCircuitOpen,
+    getCircuitStatus,
+    CodechatError,
+    CircuitOpenError,
+    InstanceNotFoundError,
+    UnreachableError
+} = require('./services/codechat')
+const { evaluate, carryOut, remediate } = require('./services/remediation')
+const { reconcileStatuses } = require('./services/reconciliation')
+const { pendingImpact } = require('./services/impact')
+const { notify } = require('./services/alerts')
+const { checkSweep } = require('./services/anomalies')
+const { requireRole } = require('./utils/auth')
+const { validate } = require('./utils/validation')
+const { withSchemas } = require('./utils/openapi')
+const metrics = require('./utils/metrics')
+const auditRouter = require('./routes/audit')
+const { createLogger, getLevel, setLevel, correlationId, runWithCorrelationId, requestLogger } = require('./utils/logger')
 
 const app = express();
 const PORT = process.env.PORT;
-const CODECHAT_URL = process.env.CODECHAT_URL;
-const API_KEY = process.env.API_KEY;
-const DELAY_MS = parseInt(process.env.DELAY_MS);
+const logger = createLogger('server');
 
-// Utility function to add delay
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ALERT_MAX_LISTED = 20;
 
 // Swagger configuration
 const swaggerOptions = {
@@ -39,70 +67,50 @@ const swaggerOptions = {
                 description: process.env.NODE_ENV === 'production' ? 'Production server' : 'Development server'
             }
         ],
+        security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
         components: {
-            schemas: {
-                Instance: {
-                    type: 'object',
-                    properties: {
-                        id: { type: 'string', description: 'Unique instance identifier' },
-                        name: { type: 'string', description: 'Instance name' },
-                        connectionStatus: { 
-                            type: 'string', 
-                            enum: ['ONLINE', 'OFFLINE'], 
-                            description: 'Instance connection status' 
-                        },
-                        whatsappState: { 
-                            type: 'string', 
-                            description: 'WhatsApp connection state' 
-                        },
-                        Auth: {
-                            type: 'object',
-                            properties: {
-                                token: { type: 'string', description: 'Authentication token' }
-                            }
-                        }
-                    }
-                },
-                Statistics: {
-                    type: 'object',
-                    properties: {
-                        totalInstances: { type: 'integer', description: 'Total number of instances' },
-                        onlineInstances: { type: 'integer', description: 'Number of online instances' },
-                        openConnections: { type: 'integer', description: 'Number of open WhatsApp connections' },
-                        closedConnections: { type: 'integer', description: 'Number of closed WhatsApp connections' },
-                        reconnected: { type: 'integer', description: 'Number of instances reconnected' }
-                    }
-                },
-                ApiResponse: {
-                    type: 'object',
-                    properties: {
-                        success: { type: 'boolean', description: 'Request success status' },
-                        message: { type: 'string', description: 'Response message' },
-                        timestamp: { type: 'string', format: 'date-time', description: 'Response timestamp' }
-                    }
+            securitySchemes: {
+                ApiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'API key from MONITOR_API_KEYS; its role (read_only, operator or admin) decides what it may call'
                 },
-                ErrorResponse: {
-                    type: 'object',
-                    properties: {
-                        success: { type: 'boolean', example: false },
-                        message: { type: 'string', description: 'Error message' },
-                        error: { type: 'string', description: 'Detailed error information' },
-                        timestamp: { type: 'string', format: 'date-time' }
-                    }
+                BearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'JWT with a role or roles claim (read_only, operator or admin)'
                 }
             }
         }
     },
-    apis: ['./server.js']
+    apis: ['./server.js', './routes/*.js']
 };
 
-const specs = swaggerJsdoc(swaggerOptions);
+// Component schemas and request parameters come from schemas/, see utils/openapi.js
+const specs = withSchemas(swaggerJsdoc(swaggerOptions));
+
+// Browsers may only call the API from origins in CORS_ORIGINS (comma-separated, * for any)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(requestLogger());
+app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// A malformed JSON body gets the same 400 as any other invalid request
+app.use((error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') return next(error);
+    res.status(400).json({
+        success: false,
+        message: 'Invalid request',
+        errors: [{ in: 'body', path: '', message: `Malformed JSON: ${error.message}` }],
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
     explorer: true,
@@ -117,6 +125,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
  *     summary: API Root
  *     description: Root endpoint that provides API information and links to documentation
  *     tags: [System]
+ *     security: []
  *     responses:
  *       200:
  *         description: API information
@@ -155,131 +164,201 @@ app.get('/', (req, res) => {
         endpoints: {
             monitor: {
                 checkAll: 'GET /check-instances',
-                checkOne: 'GET /check-individual-instance/{instanceId}'
+                checkOne: 'GET /check-individual-instance/{instanceId}',
+                reconcileStatuses: 'POST /reconcile-statuses',
+                atRisk: 'GET /api/stats/at-risk',
+                runs: 'GET /runs',
+                run: 'GET /runs/{id}'
+            },
+            jobs: {
+                status: 'GET /jobs/{id}',
+                cancel: 'DELETE /jobs/{id}'
+            },
+            orphans: {
+                report: 'GET /orphans',
+                cleanup: 'POST /orphans/cleanup'
+            },
+            notifications: {
+                list: 'GET /notifications'
+            },
+            incidents: {
+                list: 'GET /incidents',
+                get: 'GET /incidents/{id}',
+                acknowledge: 'POST /incidents/{id}/acknowledge',
+                resolve: 'POST /incidents/{id}/resolve'
+            },
+            instances: {
+                qr: 'GET /instances/{id}/qr'
+            },
+            audit: {
+                list: 'GET /audit'
             },
             system: {
-                health: 'GET /health'
+                health: 'GET /health',
+                metrics: 'GET /metrics',
+                logLevel: 'GET|PUT /log-level'
             }
         },
         timestamp: new Date().toISOString()
     });
 });
 
-// Function to fetch all instances or specific instance
-async function fetchInstances(instanceId) {
+// Function to record the start of a sweep run in MongoDB
+async function startSweepRun(trigger, dryRun) {
     try {
-        if(instanceId){
-            console.log(`Fetching particular instance: ${instanceId}`);
-            const response = await axios.get(`${CODECHAT_URL}/instance/fetchInstances?instanceName=${instanceId}`, {
-                headers: {
-                    'accept': 'application/json',
-                    'apiKey': API_KEY
-                }
-            });
-
-            // Ensure we return an array format for consistency
-            const data = response.data;
-            return Array.isArray(data) ? data : [data];
-        }
-        console.log('Fetching instances...');
-        const response = await axios.get(`${CODECHAT_URL}/instance/fetchInstances`, {
-            headers: {
-                'accept': 'application/json',
-                'apiKey': API_KEY
-            }
-        });
-        
-        console.log(`Found ${response.data.length} instances`);
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching instances:', error.message);
-        throw error;
+        return await SweepRun.create({ trigger, dry_run: dryRun, correlation_id: correlationId(), started_at: new Date() });
+    } catch (mongoError) {
+        logger.error({ err: mongoError }, 'Failed to record sweep run start in MongoDB');
+        return null;
     }
 }
 
-// Function to fetch specific instance details
-async function fetchInstanceDetails(instanceName, token) {
+// Function to store the final statistics and per-instance outcomes of a sweep run
+async function finishSweepRun(run, result, outcomes) {
+    if (!run) return;
     try {
-        console.log(`Fetching details for instance: ${instanceName}`);
-        const response = await axios.get(`${CODECHAT_URL}/instance/fetchInstance/${instanceName}`, {
-            headers: {
-                'accept': 'application/json',
-                'apiKey': API_KEY,
-                'Authorization': `Bearer ${token}`
+        await SweepRun.updateOne(
+            { _id: run._id },
+            {
+                $set: {
+                    status: result.cancelled ? 'cancelled' : (result.success ? 'completed' : 'failed'),
+                    finished_at: new Date(),
+                    message: result.message,
+                    error: result.error,
+                    statistics: result.statistics,
+                    anomalies: result.anomalies,
+                    outcomes
+                }
             }
-        });
-        
-        return response.data;
-    } catch (error) {
-        console.error(`Error fetching instance details for ${instanceName}:`, error.message);
-        throw error;
+        );
+    } catch (mongoError) {
+        logger.error({ run_id: run._id, err: mongoError }, 'Failed to record sweep run in MongoDB');
     }
 }
 
-// Function to connect/reconnect an instance
-async function connectInstance(instanceName, token) {
+// Function to check the statistics of a sweep against the fleet anomaly thresholds. A failed
+// check is logged and never fails the sweep.
+async function checkFleetAnomalies(statistics, { trigger, runId }) {
     try {
-        console.log(`Connecting instance: ${instanceName}`);
-        const response = await axios.get(`${CODECHAT_URL}/instance/connect/${instanceName}`, {
-            headers: {
-                'accept': 'application/json',
-                'apiKey': API_KEY,
-                'Authorization': `Bearer ${token}`
-            }
-        });
-        
-        console.log(`Successfully connected instance: ${instanceName}`);
-        return response.data;
+        return await checkSweep(statistics, { trigger, runId });
     } catch (error) {
-        console.error(`Error connecting instance ${instanceName}:`, error.message);
-        throw error;
+        logger.error({ run_id: runId, err: error }, 'Failed to check the sweep for fleet anomalies');
+        return [];
     }
 }
 
-// Function to logout an instance
-async function logoutInstance(instanceName, token) {
-    try {
-        console.log(`Logging out instance: ${instanceName}`);
-        await axios.delete(`${CODECHAT_URL}/instance/logout/${encodeURIComponent(instanceName)}`, {
-            headers: {
-                'accept': 'application/json',
-                'apiKey': API_KEY,
-                'Authorization': `Bearer ${token}`
-            }
+// Names of the instances of a sweep whose outcome matches, shortened for an alert
+function listInstances(outcomes, matches) {
+    const names = outcomes.filter(matches).map(outcome => outcome.instance_id);
+    return names.length > ALERT_MAX_LISTED
+        ? `${names.slice(0, ALERT_MAX_LISTED).join(', ')} and ${names.length - ALERT_MAX_LISTED} more`
+        : names.join(', ');
+}
+
+// Whether the last sweep of this process was paused by the circuit breaker, so the next
+// complete one can resolve the alert
+let sweepPaused = false;
+
+// Function to alert operators about a finished sweep: a sweep paused because Codechat is
+// failing is danger, instances the remediation policy flagged and sweeps that stopped for
+// another reason are warnings. Fleet anomalies are alerted by checkSweep.
+async function alertOnSweep(result, outcomes, { trigger, runId }) {
+    const fields = { Trigger: trigger, Run: runId ? String(runId) : 'not recorded' };
+    const { statistics } = result;
+
+    if (statistics.alerted > 0) {
+        await notify({
+            severity: 'warning',
+            title: 'Instances need attention',
+            text: `The remediation policy raised an alert for ${statistics.alerted} instances: `
+                + listInstances(outcomes, outcome => outcome.action === 'alert'),
+            source: 'instance-sweep',
+            fields
+        });
+    }
+
+    if (result.paused) {
+        sweepPaused = true;
+        await notify({
+            severity: 'danger',
+            title: 'Sweep paused',
+            text: `${result.message}. Instances are not being checked until Codechat recovers.`,
+            source: 'instance-sweep',
+            fields,
+            dedupKey: 'instance-sweep:paused'
+        });
+    } else if (!result.success && !result.cancelled) {
+        await notify({
+            severity: 'warning',
+            title: 'Sweep did not complete',
+            text: `${result.message}${result.error ? `: ${result.error}` : ''}`,
+            source: 'instance-sweep',
+            fields
+        });
+    } else if (result.success && sweepPaused) {
+        sweepPaused = false;
+        await notify({
+            severity: 'good',
+            title: 'Sweep resumed',
+            text: 'A sweep completed again after Codechat recovered.',
+            source: 'instance-sweep',
+            fields,
+            dedupKey: 'instance-sweep:paused'
         });
-        
-        console.log(`Successfully logged out instance: ${instanceName}`);
-        return { success: true };
-    } catch (error) {
-        console.error(`Error logging out instance ${instanceName}:`, error.message);
-        throw error;
     }
 }
 
-// Function to mark instance offline in MongoDB
-async function markInstanceOffline(instanceName) {
-    if (!instanceName) return;
+// Main function to check and reconnect instances, recording the run in MongoDB.
+// With dryRun the instances are classified as usual but no connect, logout or
+// MongoDB update is made; the outcomes describe the actions that would have been taken.
+// Only one sweep runs at a time across processes; see acquireSweepLock. Callers that
+// already hold the sweep lock pass it in, and it is released when the sweep ends.
+// When run as a background job, progress and outcomes are reported through `job`.
+// Each sweep logs (and calls Codechat) under a correlation id of its own, kept on the run.
+function checkAndReconnectInstances(options) {
+    return runWithCorrelationId(() => checkAndReconnect(options));
+}
+
+async function checkAndReconnect({ trigger = 'http', dryRun = false, lock, job } = {}) {
+    if (!lock) {
+        const acquired = await acquireSweepLock('check-instances');
+        if (acquired.error) return { ...acquired.error, dryRun };
+        lock = acquired.lock;
+    }
+
+    const endTimer = metrics.startSweepTimer({ trigger, dryRun });
     try {
-        const updateResult = await User.findOneAndUpdate(
-            { instance_id: instanceName },
-            { $set: { status: 'OFFLINE' } }
-        );
+        const run = await startSweepRun(trigger, dryRun);
+        const outcomes = [];
+        lock.runId = run ? run._id : null;
+        await lock.touch();
 
-        if (updateResult.matchedCount === 0) {
-            console.warn(`No Mongo user found for instance ${instanceName} to mark offline`);
-        } else {
-            console.log(`Instance ${instanceName} marked OFFLINE in MongoDB (modified: ${updateResult.modifiedCount})`);
+        const result = await sweepInstances({ trigger, dryRun, runId: lock.runId, lock, job }, outcomes);
+        endTimer(result);
+        // Only complete sweeps count towards the fleet statistics; dry runs take no action
+        if (result.success && !dryRun) {
+            result.anomalies = await checkFleetAnomalies(result.statistics, { trigger, runId: lock.runId });
         }
-        return { success: true, status: updateResult.status };
-    } catch (mongoError) {
-        console.error(`Failed to mark instance ${instanceName} offline in MongoDB:`, mongoError.message);
+        await finishSweepRun(run, result, outcomes);
+        // Dry runs only report, so they raise no alerts
+        if (!dryRun) {
+            await alertOnSweep(result, outcomes, { trigger, runId: lock.runId });
+        }
+
+        return {
+            ...result,
+            dryRun,
+            runId: lock.runId
+        };
+    } finally {
+        await lock.release();
     }
 }
 
-// Main function to check and reconnect instances
-async function checkAndReconnectInstances() {
+// Check every online instance, pushing the outcome for each one onto `outcomes`
+async function sweepInstances({ trigger, dryRun, runId, lock, job }, outcomes) {
     try {
-        console.log('\n=== Starting instance check at', new Date().toISOString(), '===');
+        logger.info({ trigger, dry_run: dryRun, run_id: runId }, 'Starting instance check');
         
         // Fetch all instances
         const instances = await fetchInstances();
@@ -289,10 +368,13 @@ async function checkAndReconnectInstances() {
             instance.connectionStatus === 'ONLINE'
         );
         
-        console.log(`Found ${onlineInstances.length} online instances`);
+        logger.info({ total: instances.length, online: onlineInstances.length }, `Found ${onlineInstances.length} online instances`);
+        lock.progress.total = onlineInstances.length;
+        if (job) job.progress = lock.progress;
         
         if (onlineInstances.length === 0) {
-            console.log('No online instances found. Skipping connection check.');
+            logger.info('No online instances found. Skipping connection check.');
+            metrics.observeFleet(instances, []);
             return {
                 success: true,
                 message: 'No online instances found',
@@ -302,137 +384,93 @@ async function checkAndReconnectInstances() {
                     openConnections: 0,
                     closedConnections: 0,
                     reconnected: 0,
-                    loggedOut: 0
+                    loggedOut: 0,
+                    alerted: 0,
+                    deferred: 0,
+                    nullBailey: 0,
+                    lookupFailed: 0
                 }
             };
         }
         
-        // Statistics tracking
-        let openCount = 0;
-        let closedCount = 0;
-        let reconnectedCount = 0;
-        let loggedOutCount = 0;
+        // Statistics tracking, shared by all pool workers
+        const statistics = {
+            totalInstances: instances.length,
+            onlineInstances: onlineInstances.length,
+            openConnections: 0,
+            closedConnections: 0,
+            reconnected: 0,
+            loggedOut: 0,
+            alerted: 0,
+            deferred: 0,
+            nullBailey: 0,
+            lookupFailed: 0
+        };
         
-        // Check each online instance
-        for (let i = 0; i < onlineInstances.length; i++) {
-            const instance = onlineInstances[i];
-            const { name, Auth } = instance;
-            const token = Auth.token;
-            
-            try {
-                // Fetch instance details to check WhatsApp connection state
-                const instanceDetails = await fetchInstanceDetails(name, token);
-                
-                // Get Bailey status
-                const baileyStatus = instanceDetails.Whatsapp?.connection?.state || null;
-                
-                // Check if Bailey status is null
-                if (baileyStatus === null) {
-                    console.log(`Instance ${name} has Codechat ONLINE but Bailey status is null. Connecting and logging out...`);
-                    
-                    try {
-                        await connectInstance(name, token);
-                        await logoutInstance(name, token);
-                        await markInstanceOffline(name);
-                        
-                        console.log(`Instance ${name} has been connected and logged out due to null Bailey status`);
-                        loggedOutCount++;
-                    } catch (connectLogoutError) {
-                        console.error(`Failed to connect/logout instance ${name}:`, connectLogoutError.message);
-                    }
-                    continue; // Skip to next instance
-                }
-                
-                // Check if WhatsApp connection state is closed
-                if (instanceDetails.Whatsapp && 
-                    instanceDetails.Whatsapp.connection && 
-                    instanceDetails.Whatsapp.connection.state === 'close') {
-                    
-                    console.log(`Instance ${name} has closed WhatsApp connection. Attempting to reconnect...`);
-                    
-                    // Attempt to reconnect
-                    const connectResponse = await connectInstance(name, token);
-                    
-                    // Check if response contains base64 field (QR code scenario)
-                    if (connectResponse && connectResponse.base64) {
-                        console.log(`Instance ${name} connection returned QR code. Logging out instance...`);
-                        try {
-                            await logoutInstance(name, token);
-                            await markInstanceOffline(name);
-                            console.log(`Instance ${name} has been logged out due to QR code requirement`);
-                        } catch (logoutError) {
-                            console.error(`Failed to logout instance ${name}:`, logoutError.message);
-                        }
-                    }
-                    
-                    closedCount++;
-                    reconnectedCount++;
-                    
-                } else {
-                    console.log(`Instance ${name} is properly connected (state: ${instanceDetails.Whatsapp?.connection?.state || 'unknown'})`);
-                    openCount++;
-                }
-                
-            } catch (error) {
-                const statusCode = error.response?.status;
-                const errorMessage = error.response?.data?.message;
-                const normalizedMessages = Array.isArray(errorMessage) ? errorMessage : [errorMessage].filter(Boolean);
-                const instanceMissing = statusCode === 400 && normalizedMessages.some(msg => 
-                    typeof msg === 'string' && msg.includes('does not exist or is not connected')
-                );
-
-                if (instanceMissing || (instance.connectionStatus === 'ONLINE')) {
-                    console.log(`Instance ${name} is ONLINE but fetchInstanceDetails failed. Connecting and logging out...`);
-                    
-                    try {
-                        await connectInstance(name, token);
-                        await logoutInstance(name, token);
-                        await markInstanceOffline(name);
-                        
-                        console.log(`Instance ${name} has been connected and logged out after fetchInstanceDetails error`);
-                        loggedOutCount++;
-                    } catch (connectLogoutError) {
-                        console.error(`Failed to connect/logout instance ${name} after error:`, connectLogoutError.message);
-                    }
-                } else {
-                    console.error(`Failed to process instance ${name}:`, error.message);
-                }
-            }
-            
-            // Add delay between calls (except for the last instance)
-            if (i < onlineInstances.length - 1) {
-                console.log(`Waiting ${DELAY_MS}ms before checking next instance...`);
-                await delay(DELAY_MS);
-            }
+        // Check the online instances through the worker pool, stopping if another process
+        // took over the lock, the job was cancelled or the Codechat circuit breaker opened
+        const baileyStates = [];
+        const context = { trigger, dryRun, runId, statistics, baileyStates };
+        const results = await forEachInstance(onlineInstances, async (instance) => {
+            const outcome = await checkInstance(instance, context);
+            lock.progress.processed++;
+            if (job) job.results.push(outcome);
+            return outcome;
+        }, { shouldStop: () => lock.lost || Boolean(job?.cancelled) || isCircuitOpen() });
+        outcomes.push(...results.filter(Boolean));
+
+        if (lock.lost) {
+            logger.error({ processed: lock.progress.processed, online: onlineInstances.length }, `Sweep lock lost after ${lock.progress.processed}/${onlineInstances.length} instances. Stopping sweep.`);
+            return {
+                success: false,
+                message: 'Sweep stopped: lock lost to another process',
+                error: 'Sweep lock lost',
+                statistics
+            };
+        }
+
+        if (isCircuitOpen()) {
+            logger.error({ processed: lock.progress.processed, online: onlineInstances.length }, `Codechat circuit breaker opened after ${lock.progress.processed}/${onlineInstances.length} instances. Pausing sweep.`);
+            return {
+                success: false,
+                paused: true,
+                message: 'Sweep paused: Codechat error rate too high, circuit breaker is open',
+                error: 'Codechat circuit breaker open',
+                circuit: getCircuitStatus(),
+                statistics
+            };
         }
+
+        if (job?.cancelled) {
+            logger.info({ processed: lock.progress.processed, online: onlineInstances.length }, `Sweep cancelled after ${lock.progress.processed}/${onlineInstances.length} instances`);
+            return {
+                success: false,
+                cancelled: true,
+                message: 'Sweep cancelled',
+                statistics
+            };
+        }
+
+        // Only a sweep that saw every instance replaces the fleet gauges
+        metrics.observeFleet(instances, baileyStates);
         
-        // Display statistics
-        console.log('=== Instance check completed ===');
-        console.log(`STATISTICS:`);
-        console.log(`Open connections: ${openCount}`);
-        console.log(`Closed connections: ${closedCount}`);
-        console.log(`Reconnected: ${reconnectedCount}`);
-        console.log(`Logged out (null Bailey/errors): ${loggedOutCount}`);
+        logger.info({ statistics }, 'Instance check completed');
         
         // Return statistics for API responses
         return {
             success: true,
             message: 'Instance check completed',
-            statistics: {
-                totalInstances: instances.length,
-                onlineInstances: onlineInstances.length,
-                openConnections: openCount,
-                closedConnections: closedCount,
-                reconnected: reconnectedCount,
-                loggedOut: loggedOutCount
-            }
+            statistics
         };
         
     } catch (error) {
-        console.error('Error in checkAndReconnectInstances:', error.message);
+        logger.error({ err: error }, 'Error in checkAndReconnectInstances');
         return {
             success: false,
-            message: 'Error checking instances',
+            paused: error instanceof CircuitOpenError,
+            message: error instanceof CircuitOpenError
+                ? 'Sweep paused: Codechat error rate too high, circuit breaker is open'
+                : 'Error checking instances',
             error: error.message,
             statistics: {
                 totalInstances: 0,
@@ -440,21 +478,95 @@ async function checkAndReconnectInstances() {
                 openConnections: 0,
                 closedConnections: 0,
                 reconnected: 0,
-                loggedOut: 0
+                loggedOut: 0,
+                alerted: 0,
+                deferred: 0,
+                nullBailey: 0,
+                lookupFailed: 0
             }
         };
     }
 }
 
+// Check a single online instance and remediate it through the policy, returning its outcome
+async function checkInstance(instance, { trigger, dryRun, runId, statistics, baileyStates }) {
+    const { name, Auth } = instance;
+    const token = Auth.token;
+    const outcome = {
+        instance_id: name,
+        codechat_status: instance.connectionStatus,
+        bailey_state: null,
+        action: 'none',
+        success: true,
+        checked_at: new Date()
+    };
+    const observation = {};
+    
+    try {
+        // Fetch instance details to check WhatsApp connection state
+        const instanceDetails = await fetchInstanceDetails(name, token);
+        observation.baileyState = baileyState(instanceDetails);
+        outcome.bailey_state = observation.baileyState;
+    } catch (error) {
+        // The policy decides what a failed lookup means (only a missing instance is logged out by default)
+        logger.error({ instance_id: name, err: error }, 'Failed to fetch instance details');
+        observation.error = error;
+    }
+    baileyStates.push(observation.error ? undefined : observation.baileyState);
+    if (observation.error) statistics.lookupFailed++;
+    else if (observation.baileyState === null) statistics.nullBailey++;
+
+    try {
+        const result = await remediate(
+            { name, token, connectionStatus: instance.connectionStatus },
+            observation,
+            { source: trigger, runId, dryRun }
+        );
+        outcome.action = result.action;
+        outcome.rule = result.decision.rule;
+        outcome.success = result.success;
+        outcome.message = result.message;
+        outcome.error = result.error;
+        outcome.impact = result.impact;
+        logger.info({ instance_id: name, action: result.action, rule: result.decision.rule, success: result.success }, result.message);
+
+        if (observation.baileyState === 'open') statistics.openConnections++;
+        if (observation.baileyState === 'close') statistics.closedConnections++;
+        if (result.reconnected || (dryRun && result.action === 'reconnect')) statistics.reconnected++;
+        if (result.loggedOut || (dryRun && result.action === 'connect_logout')) statistics.loggedOut++;
+        if (result.action === 'alert') statistics.alerted++;
+        if (result.action === 'retry_later') statistics.deferred++;
+    } catch (error) {
+        logger.error({ instance_id: name, err: error }, 'Failed to process instance');
+        outcome.success = false;
+        outcome.error = error.message;
+    }
+
+    return outcome;
+}
+
 // Schedule cron job to run every 45 minutes (only if CRON_START is true)
 if (process.env.CRON_START === 'true') {
     cron.schedule('0 */45 * * * *', () => {
-        checkAndReconnectInstances();
+        checkAndReconnectInstances({ trigger: 'cron', dryRun: process.env.DRY_RUN === 'true' })
+            .catch(error => logger.error({ err: error }, 'Scheduled sweep failed'));
     });
 } else {
-    console.log('Cron job disabled - set CRON_START=true in environment to enable');
+    logger.info('Cron job disabled - set CRON_START=true in environment to enable');
 }
 
+// Schedule the status reconciliation (only if RECONCILE_CRON is set to a cron expression)
+if (process.env.RECONCILE_CRON) {
+    cron.schedule(process.env.RECONCILE_CRON, async () => {
+        try {
+            const { lock } = await acquireSweepLock('reconcile-statuses');
+            if (!lock) return;
+            await reconcileStatuses({ dryRun: process.env.RECONCILE_DRY_RUN === 'true', lock });
+        } catch (error) {
+            logger.error({ err: error }, 'Scheduled status reconciliation failed');
+        }
+    });
+}
 
 
 /**
@@ -462,27 +574,21 @@ if (process.env.CRON_START === 'true') {
  * /check-instances:
  *   get:
  *     summary: Check and reconnect all instances (Legacy endpoint)
- *     description: Manually trigger a check of all instances and reconnect any with closed connections
+ *     description: Starts a background job that checks all instances and reconnects any with closed connections. The job records a run (see GET /runs/{id}); follow its progress at GET /jobs/{id}.
  *     tags: [Monitor]
  *     responses:
- *       200:
- *         description: Successfully completed instance check
+ *       202:
+ *         description: Job started
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Instance check completed"
- *                 statistics:
- *                   $ref: '#/components/schemas/Statistics'
- *                 timestamp:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       409:
+ *         description: Another sweep is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SweepAlreadyRunning'
  *       500:
  *         description: Server error
  *         content:
@@ -490,21 +596,12 @@ if (process.env.CRON_START === 'true') {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.get('/check-instances', async (req, res) => {
-    try {
-        const result = await checkAndReconnectInstances();
-        res.status(200).json({ 
-            ...result,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error checking instances',
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
+app.get('/check-instances', requireRole('admin'), validate('GET /check-instances'), async (req, res) => {
+    const { dryRun } = req.query;
+
+    await respondWithSweepJob(res, 'check-instances', { dryRun }, ({ lock, job }) =>
+        checkAndReconnectInstances({ trigger: 'http', dryRun, lock, job })
+    );
 });
 
 /**
@@ -512,15 +609,8 @@ app.get('/check-instances', async (req, res) => {
  * /check-individual-instance/{instanceId}:
  *   get:
  *     summary: Check individual instance (Legacy endpoint)
- *     description: Check and potentially reconnect a specific instance
+ *     description: Check a specific instance and apply the remediation policy to it, the same way the sweep does (reconnect, log out, alert or leave it for a later check)
  *     tags: [Monitor]
- *     parameters:
- *       - in: path
- *         name: instanceId
- *         required: true
- *         schema:
- *           type: string
- *         description: Instance ID
  *     responses:
  *       200:
  *         description: Successfully checked instance
@@ -549,6 +639,27 @@ app.get('/check-instances', async (req, res) => {
  *                       type: boolean
  *                     reconnected:
  *                       type: boolean
+ *                     loggedOut:
+ *                       type: boolean
+ *                 action:
+ *                   type: string
+ *                   enum: [none, reconnect, reconnect_logout, connect_logout, alert, retry_later]
+ *                 rule:
+ *                   type: string
+ *                   description: Remediation policy rule that decided the action
+ *                 pairing:
+ *                   type: object
+ *                   description: Set when the reconnect returned a QR code, kept at GET /instances/{id}/qr
+ *                   properties:
+ *                     qr_expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                     logout_after:
+ *                       type: string
+ *                       format: date-time
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -564,6 +675,12 @@ app.get('/check-instances', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Codechat circuit breaker is open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -571,18 +688,11 @@ app.get('/check-instances', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.get('/check-individual-instance/:instanceId', async (req, res) => {
+app.get('/check-individual-instance/:instanceId', requireRole('operator'), validate('GET /check-individual-instance/{instanceId}'), async (req, res) => {
     try {
         const { instanceId } = req.params;
-        
-        if (!instanceId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Instance ID is required'
-            });
-        }
 
-        console.log(`Checking individual instance: ${instanceId}`);
+        logger.info({ instance_id: instanceId }, 'Checking individual instance');
 
         // Fetch specific instance by ID
         const instance = await fetchInstances(instanceId);
@@ -611,71 +721,60 @@ app.get('/check-individual-instance/:instanceId', async (req, res) => {
         }
         
         // Fetch instance details to check WhatsApp connection state
-        const instanceDetails = await fetchInstanceDetails(name, token);
+        const observation = {};
+        try {
+            const instanceDetails = await fetchInstanceDetails(name, token);
+            observation.baileyState = baileyState(instanceDetails);
+        } catch (error) {
+            logger.error({ instance_id: name, err: error }, 'Failed to fetch instance details');
+            observation.error = error;
+        }
+
+        // Apply the same remediation policy as the sweep, going by the strikes the sweeps collected
+        const result = await remediate(
+            { name, token, connectionStatus: instance[0].connectionStatus },
+            observation,
+            { source: 'check-individual-instance', countStrikes: false }
+        );
 
         const response = {
-            success: true,
-            message: 'Instance check completed',
+            success: result.success,
+            message: result.message,
             instance: {
                 id: instance[0].id,
                 name: instance[0].name,
                 connectionStatus: instance[0].connectionStatus,
-                whatsappState: instanceDetails.Whatsapp?.connection?.state || 'unknown',
-                needsReconnection: false
+                whatsappState: observation.baileyState || 'unknown',
+                needsReconnection: observation.baileyState === 'close',
+                reconnected: result.reconnected,
+                loggedOut: result.loggedOut
             },
+            action: result.action,
+            rule: result.decision.rule,
+            pairing: result.pairing,
             timestamp: new Date().toISOString()
         };
-                
-        // Check if WhatsApp connection state is closed
-        if (instanceDetails.Whatsapp && 
-            instanceDetails.Whatsapp.connection && 
-            instanceDetails.Whatsapp.connection.state === 'close') {
-            
-            console.log(`Instance ${name} has closed WhatsApp connection. Attempting to reconnect...`);
-            
-            try {
-                // Attempt to reconnect
-                const connectResponse = await connectInstance(name, token);
-                
-                // Check if response contains base64 field (QR code scenario)
-                if (connectResponse && connectResponse.base64) {
-                    console.log(`Instance ${name} connection returned QR code. Logging out instance...`);
-                    try {
-                        await logoutInstance(name, token);
-                        response.message = 'Instance was disconnected and logged out due to QR code requirement';
-                        response.instance.needsReconnection = true;
-                        response.instance.reconnected = false;
-                        response.instance.loggedOut = true;
-                    } catch (logoutError) {
-                        console.error(`Failed to logout instance ${name}:`, logoutError.message);
-                        response.message = 'Instance reconnection returned QR code, but logout failed';
-                        response.instance.needsReconnection = true;
-                        response.instance.reconnected = false;
-                        response.error = logoutError.message;
-                    }
-                } else {
-                    response.message = 'Instance was disconnected and has been reconnected';
-                    response.instance.needsReconnection = true;
-                    response.instance.reconnected = true;
-                }
-            } catch (reconnectError) {
-                console.error(`Failed to reconnect instance ${name}:`, reconnectError.message);
-                response.message = 'Instance was disconnected but reconnection failed';
-                response.instance.needsReconnection = true;
-                response.instance.reconnected = false;
-                response.error = reconnectError.message;
-            }
-        } else {
-            response.message = `Instance is properly connected (state: ${instanceDetails.Whatsapp?.connection?.state || 'unknown'})`;
+        if (result.error) {
+            response.error = result.error;
         }
-
+                
         res.status(200).json(response);
 
     } catch (error) {
-        console.error(`Error checking individual instance ${req.params.instanceId}:`, error.message);
+        logger.error({ instance_id: req.params.instanceId, err: error }, 'Error checking individual instance');
         
         // Handle specific error cases
-        if (error.response && error.response.status === 404) {
+        if (error instanceof CircuitOpenError) {
+            return res.status(503).json({
+                success: false,
+                message: 'Codechat circuit breaker is open; try again later',
+                error: error.message,
+                circuit: getCircuitStatus(),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (error instanceof InstanceNotFoundError) {
             return res.status(404).json({
                 success: false,
                 message: `Instance with ID ${req.params.instanceId} not found`,
@@ -700,6 +799,7 @@ app.get('/check-individual-instance/:instanceId', async (req, res) => {
  *     summary: Health check
  *     description: Check if the WhatsApp Instance Monitor service is running
  *     tags: [System]
+ *     security: []
  *     responses:
  *       200:
  *         description: Service is healthy
@@ -714,6 +814,8 @@ app.get('/check-individual-instance/:instanceId', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "WhatsApp Instance Monitor is running"
+ *                 codechatCircuit:
+ *                   $ref: '#/components/schemas/CircuitStatus'
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -722,49 +824,135 @@ app.get('/health', (req, res) => {
     res.status(200).json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
-        message: 'WhatsApp Instance Monitor is running'
+        message: 'WhatsApp Instance Monitor is running',
+        codechatCircuit: getCircuitStatus()
+    });
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: Instances by Codechat status and Bailey state as last observed by a complete sweep or GET /api/stats/all-instances, reconnects and logouts by reason, Codechat errors by endpoint and status, sweep duration and Codechat call latency histograms, the circuit breaker state and the default Node.js process metrics, in the Prometheus text format
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get('/metrics', requireRole('read_only'), async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(await metrics.registry.metrics());
+    } catch (error) {
+        logger.error({ err: error }, 'Error collecting metrics');
+        res.status(500).send(error.message);
+    }
+});
+
+/**
+ * @swagger
+ * /log-level:
+ *   get:
+ *     summary: Current log level
+ *     description: Level of the service's JSON logs (LOG_LEVEL at startup unless changed since)
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Current log level
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LogLevel'
+ *   put:
+ *     summary: Change the log level
+ *     description: Change the level of every logger in this process without a restart, e.g. to debug while investigating. The change is lost on restart; other processes keep their own level.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Log level changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LogLevel'
+ */
+app.get('/log-level', requireRole('read_only'), (req, res) => {
+    res.status(200).json({
+        success: true,
+        level: getLevel(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.put('/log-level', requireRole('admin'), validate('PUT /log-level'), (req, res) => {
+    const previous = getLevel();
+    setLevel(req.body.level);
+    logger.warn({ from: previous, to: req.body.level, key_id: req.auth?.id }, `Log level changed from ${previous} to ${req.body.level}`);
+
+    res.status(200).json({
+        success: true,
+        level: getLevel(),
+        timestamp: new Date().toISOString()
     });
 });
 
-app.use('/api/stats', statsRouter)
+app.use('/api/stats', requireRole('read_only'), statsRouter)
+app.use('/runs', requireRole('read_only'), runsRouter)
+app.use('/jobs', requireRole('read_only'), jobsRouter)
+app.use('/orphans', requireRole('admin'), orphansRouter)
+app.use('/notifications', requireRole('operator'), notificationsRouter)
+app.use('/incidents', requireRole('read_only'), incidentsRouter)
+app.use('/instances', instancesRouter)
+app.use('/audit', requireRole('admin'), auditRouter)
 
-// Logout all users across online instances
-app.post('/logout-all-instances', async (req, res) => {
+// Function to log out every ONLINE instance the remediation policy decides to log out
+// (by default those with a null Bailey status). Callers must hold the sweep lock, which
+// is released when this finishes. When run as a background job, progress and
+// per-instance results are reported through `job`. Like a sweep, it runs under a
+// correlation id of its own.
+function logoutAllInstances(options) {
+    return runWithCorrelationId(() => logoutAll(options));
+}
+
+async function logoutAll({ dryRun = false, lock, job }) {
     try {
         // Step 1: Fetch all instances from Codechat API
-        const instancesResponse = await fetchInstances();
+        const codechatInstances = await fetchInstances();
 
-        if (!instancesResponse.data || instancesResponse.data.length === 0) {
-            return res.status(200).json({
+        if (!codechatInstances || codechatInstances.length === 0) {
+            return {
                 success: true,
+                dryRun,
                 message: 'No instances found',
                 results: [],
                 statistics: {
                     totalInstances: 0,
                     onlineInstances: 0,
-                    nullBaileyInstances: 0,
+                    logoutInstances: 0,
                     processed: 0,
                     success: 0,
                     failed: 0
-                },
-                timestamp: new Date().toISOString()
-            });
+                }
+            };
         }
 
-        const codechatInstances = Array.isArray(instancesResponse.data) 
-            ? instancesResponse.data 
-            : [instancesResponse.data];
-
         // Step 2: Filter ONLINE instances and check Bailey status
         const onlineInstances = codechatInstances.filter(
             instance => instance.connectionStatus === 'ONLINE'
         );
 
         const instancesToProcess = [];
-        const results = [];
+        const results = job ? job.results : [];
+        lock.progress.total = onlineInstances.length;
+        if (job) job.progress = lock.progress;
+        const shouldStop = () => lock.lost || Boolean(job?.cancelled) || isCircuitOpen();
 
-        // Step 3: Check Bailey status for each ONLINE instance
-        for (const instance of onlineInstances) {
+        // Step 3: Check Bailey status for each ONLINE instance through the worker pool
+        await forEachInstance(onlineInstances, async (instance) => {
             const instanceId = instance.name || instance.id;
             const token = instance.Auth?.token;
 
@@ -774,125 +962,364 @@ app.post('/logout-all-instances', async (req, res) => {
                     status: 'skipped',
                     reason: 'Missing token'
                 });
-                continue;
+                lock.progress.processed++;
+                return;
             }
 
-            let baileyStatus = null;
+            const target = { name: instanceId, token, connectionStatus: instance.connectionStatus };
+            const observation = {};
 
             try {
                 const detailedResponse = await fetchInstanceDetails(instanceId, token);
 
-                baileyStatus = detailedResponse.data.Whatsapp?.connection?.state || null;
+                observation.baileyState = baileyState(detailedResponse);
             } catch (error) {
-                console.error(`Error fetching Bailey status for ${instanceId}:`, error.message);
+                logger.error({ instance_id: instanceId, err: error }, 'Error fetching Bailey status');
+                observation.error = error;
             }
 
-            // Step 4: If Bailey status is null, add to processing list
-            if (baileyStatus === null) {
-                instancesToProcess.push({
-                    instanceId,
-                    token,
-                    instance
+            // Step 4: Ask the remediation policy; only logout decisions are processed here
+            const decision = await evaluate(target, observation, { dryRun, countStrikes: false });
+            if (decision.action === 'logout') {
+                instancesToProcess.push({ target, observation, decision });
+            } else if (decision.deferred || observation.error) {
+                results.push({
+                    instance_id: instanceId,
+                    status: 'skipped',
+                    reason: decision.deferred
+                        ? `Within grace period of ${decision.rule}`
+                        : 'Could not fetch Bailey status',
+                    error: observation.error?.message
                 });
             }
+            lock.progress.processed++;
+        }, { shouldStop });
+
+        if (job?.cancelled) {
+            return {
+                success: false,
+                cancelled: true,
+                dryRun,
+                message: 'Logout cancelled while checking Bailey status; no instance was logged out',
+                results
+            };
         }
 
-        // Step 5: Process each instance: connect then logout
+        if (isCircuitOpen()) {
+            return {
+                success: false,
+                paused: true,
+                dryRun,
+                message: 'Logout paused: Codechat error rate too high, circuit breaker is open; no instance was logged out',
+                error: 'Codechat circuit breaker open',
+                circuit: getCircuitStatus(),
+                results
+            };
+        }
+
+        if (dryRun) {
+            for (const { target, decision } of instancesToProcess) {
+                results.push({
+                    instance_id: target.name,
+                    status: 'would_logout',
+                    rule: decision.rule,
+                    message: `Dry run: would connect and log out (${decision.reason})`,
+                    impact: await pendingImpact(target.name)
+                });
+            }
+
+            return {
+                success: true,
+                dryRun,
+                message: `Dry run: ${instancesToProcess.length} instances would be logged out`,
+                results,
+                statistics: {
+                    totalInstances: codechatInstances.length,
+                    onlineInstances: onlineInstances.length,
+                    logoutInstances: instancesToProcess.length,
+                    processed: 0,
+                    success: 0,
+                    failed: 0
+                }
+            };
+        }
+
+        // Step 5: Process each instance: connect, logout and mark offline
         let successCount = 0;
         let failedCount = 0;
+        lock.progress.total += instancesToProcess.length;
 
-        for (const { instanceId, token } of instancesToProcess) {
+        await forEachInstance(instancesToProcess, async ({ target, observation, decision }) => {
             try {
-                // Step 5a: Call connect API first
-                console.log(`Connecting instance ${instanceId} before logout...`);
-                await connectInstance(instanceId, token);
-
-                console.log(`Successfully connected ${instanceId}, now logging out...`);
-
-                // Step 5b: Immediately call logout API
-                await logoutInstance(instanceId, token);
+                // An admin asked for these logouts, so a fleet anomaly pause does not hold them back
+                const result = await carryOut(target, observation, decision, { source: 'logout-all-instances', bypassPause: true });
 
-                // Step 5c: Mark offline in MongoDB
-                try {
-                    await markInstanceOffline(instanceId);
-                } catch (error) {
-                    console.error(`Failed to mark instance ${instanceId} offline:`, error.message);
+                if (result.success) {
+                    results.push({
+                        instance_id: target.name,
+                        status: 'success',
+                        rule: decision.rule,
+                        message: 'Connected and logged out successfully',
+                        impact: result.impact,
+                        held_messages: result.heldMessages,
+                        notifications: result.notifications
+                    });
+                    successCount++;
+                } else {
+                    results.push({
+                        instance_id: target.name,
+                        status: 'failed',
+                        rule: decision.rule,
+                        error: result.error
+                    });
+                    failedCount++;
                 }
-
-                results.push({
-                    instance_id: instanceId,
-                    status: 'success',
-                    message: 'Connected and logged out successfully'
-                });
-                successCount++;
-
             } catch (error) {
-                console.error(`Failed to process instance ${instanceId}:`, error.message);
+                logger.error({ instance_id: target.name, err: error }, 'Failed to process instance');
                 results.push({
-                    instance_id: instanceId,
+                    instance_id: target.name,
                     status: 'failed',
-                    error: error.response?.data || error.message
+                    error: error.message
                 });
                 failedCount++;
             }
-        }
 
-        // Step 6: Return comprehensive response
-        res.status(200).json({
-            success: true,
-            message: `Processed ${instancesToProcess.length} instances with null Bailey status`,
+            lock.progress.processed++;
+        }, { shouldStop });
+
+        // Step 6: Return comprehensive result; a run stopped part way is not a success, even
+        // though the instances it got to were logged out
+        const processed = `${successCount + failedCount} of ${instancesToProcess.length} instances`;
+        const stopped = successCount + failedCount < instancesToProcess.length;
+        const cancelled = stopped && Boolean(job?.cancelled);
+        const paused = stopped && !cancelled && isCircuitOpen();
+        const lockLost = stopped && !cancelled && !paused && lock.lost;
+        return {
+            success: !cancelled && !paused && !lockLost,
+            cancelled,
+            paused,
+            dryRun,
+            message: cancelled
+                ? `Logout cancelled after processing ${processed}`
+                : paused
+                    ? `Logout paused after processing ${processed}: Codechat error rate too high, circuit breaker is open`
+                    : lockLost
+                        ? `Logout stopped after processing ${processed}: lock lost to another process`
+                        : `Processed ${processed} to log out`,
+            ...(paused && { error: 'Codechat circuit breaker open', circuit: getCircuitStatus() }),
+            ...(lockLost && { error: 'Logout lock lost' }),
             results,
             statistics: {
                 totalInstances: codechatInstances.length,
                 onlineInstances: onlineInstances.length,
-                nullBaileyInstances: instancesToProcess.length,
-                processed: instancesToProcess.length,
+                logoutInstances: instancesToProcess.length,
+                processed: successCount + failedCount,
                 success: successCount,
                 failed: failedCount
-            },
+            }
+        };
+    } catch (error) {
+        logger.error({ err: error }, 'Error in logout-all-instances');
+        return {
+            success: false,
+            dryRun,
+            paused: error instanceof CircuitOpenError,
+            message: error instanceof UnreachableError
+                ? 'Unable to connect to CODECHT API'
+                : error instanceof CircuitOpenError
+                    ? 'Logout paused: Codechat circuit breaker is open'
+                    : 'Error logging out instances',
+            error: error.message
+        };
+    } finally {
+        await lock.release();
+    }
+}
+
+// Function to start a sweep as a background job, answering 202 with the job id
+// (or 409 when another sweep holds the lock)
+async function respondWithSweepJob(res, operation, params, run) {
+    const { lock, error: lockError } = await acquireSweepLock(operation);
+    if (lockError) {
+        return res.status(lockError.alreadyRunning ? 409 : 503).json({
+            ...lockError,
             timestamp: new Date().toISOString()
         });
+    }
 
-    } catch (error) {
-        console.error('Error in logout-null-bailey endpoint:', error);
-        
-        if (error.response) {
-            return res.status(error.response.status || 500).json({
-                success: false,
-                error: 'External API error',
-                message: error.response.data?.message || error.message,
-                timestamp: new Date().toISOString()
-            });
-        } else if (error.request) {
-            return res.status(503).json({
-                success: false,
-                error: 'External service unavailable',
-                message: 'Unable to connect to CODECHT API',
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            return res.status(500).json({
-                success: false,
-                error: 'Internal server error',
-                message: error.message,
-                timestamp: new Date().toISOString()
-            });
-        }
+    let job;
+    try {
+        job = await startJob(operation, params, (job) => {
+            lock.jobId = job.id;
+            return run({ lock, job });
+        });
+    } catch (mongoError) {
+        await lock.release();
+        logger.error({ operation, err: mongoError }, `Failed to start ${operation} job`);
+        return res.status(500).json({
+            success: false,
+            message: `Error starting ${operation} job`,
+            error: mongoError.message,
+            timestamp: new Date().toISOString()
+        });
     }
+
+    res.status(202).json({
+        success: true,
+        message: `${operation} started`,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * @swagger
+ * /logout-all-instances:
+ *   post:
+ *     summary: Log out all instances with a null Bailey status
+ *     description: Starts a background job that connects and then logs out every ONLINE instance the remediation policy decides to log out (by default those whose Bailey (WhatsApp) state is null), and marks its user OFFLINE in MongoDB. Follow the job at GET /jobs/{id}.
+ *     tags: [Monitor]
+ *     responses:
+ *       202:
+ *         description: Job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       409:
+ *         description: Another sweep is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SweepAlreadyRunning'
+ *       503:
+ *         description: Sweep lock unavailable (MongoDB unreachable)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/logout-all-instances', requireRole('admin'), validate('POST /logout-all-instances'), async (req, res) => {
+    const { dryRun } = req.query;
+
+    await respondWithSweepJob(res, 'logout-all-instances', { dryRun }, ({ lock, job }) =>
+        logoutAllInstances({ dryRun, lock, job })
+    );
+});
+
+/**
+ * @swagger
+ * /reconcile-statuses:
+ *   post:
+ *     summary: Reconcile user statuses with Codechat
+ *     description: Starts a background job that compares the MongoDB status of every user with an instance against Codechat and the Bailey (WhatsApp) state, and repairs drift in both directions as the reconciliation policy allows. Each drifted user is listed in the job results with what was (or, with dryRun, would be) corrected. Follow the job at GET /jobs/{id}.
+ *     tags: [Monitor]
+ *     responses:
+ *       202:
+ *         description: Job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       409:
+ *         description: Another sweep is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SweepAlreadyRunning'
+ *       503:
+ *         description: Sweep lock unavailable (MongoDB unreachable)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/reconcile-statuses', requireRole('admin'), validate('POST /reconcile-statuses'), async (req, res) => {
+    const { dryRun } = req.query;
+
+    await respondWithSweepJob(res, 'reconcile-statuses', { dryRun }, ({ lock, job }) =>
+        reconcileStatuses({ dryRun, lock, job })
+    );
 });
 
-// Logout a single user by instance name
-app.post('/logout-instance', async (req, res) => {
+/**
+ * @swagger
+ * /logout-instance:
+ *   post:
+ *     summary: Log out a single instance
+ *     description: Looks up the user by instance_id or mobile_number, checks its Codechat and Bailey (WhatsApp) state, and connects, logs out and marks the user OFFLINE if the remediation policy decides to log the instance out
+ *     tags: [Monitor]
+ *     responses:
+ *       200:
+ *         description: Instance logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 instance_id:
+ *                   type: string
+ *                 mobile_number:
+ *                   type: string
+ *                 previous_status:
+ *                   type: object
+ *                   properties:
+ *                     codechat_status:
+ *                       type: string
+ *                     bailey_status:
+ *                       type: string
+ *                       nullable: true
+ *                     mongo_status:
+ *                       type: string
+ *                 current_status:
+ *                   type: object
+ *                   properties:
+ *                     codechat_status:
+ *                       type: string
+ *                     mongo_status:
+ *                       type: string
+ *                 impact:
+ *                   $ref: '#/components/schemas/PendingImpact'
+ *                 held_messages:
+ *                   type: integer
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Instance not ONLINE, missing its token, or its user has no instance_id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User or instance not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The remediation policy does not allow the logout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Codechat unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/logout-instance', requireRole('operator'), validate('POST /logout-instance'), async (req, res) => {
     try {
         const { instance_id, mobile_number } = req.query;
   
-        if (!instance_id && !mobile_number) {
-            return res.status(400).json({
-                success: false,
-                error: 'Either instance_id or mobile_number must be provided'
-            });
-      }
-  
         let user;
         let finalInstanceId;
         let mobileNumber;
@@ -923,16 +1350,16 @@ app.post('/logout-instance', async (req, res) => {
         }
   
         // Step 2: Call CODECHT API to fetch instance
-        const instancesResponse = await fetchInstances(finalInstanceId, token);
+        const instances = await fetchInstances(finalInstanceId);
     
-        if (!instancesResponse.data || instancesResponse.data.length === 0) {
+        if (!instances || instances.length === 0 || !instances[0]) {
             return res.status(404).json({
                 success: false,
                 error: 'Instance not found in CODECHT API'
             });
         }
   
-        const instanceData = instancesResponse.data[0];
+        const instanceData = instances[0];
         const connectionStatus = instanceData.connectionStatus;
         const token = instanceData.Auth?.token;
     
@@ -957,53 +1384,47 @@ app.post('/logout-instance', async (req, res) => {
         }
   
         // Step 4: Check Bailey status
-        let baileyStatus = null;
+        const target = { name: finalInstanceId, token, connectionStatus };
+        const observation = { manual: true };
         try {
             const detailedResponse = await fetchInstanceDetails(finalInstanceId, token);
-            baileyStatus = detailedResponse.data.Whatsapp?.connection?.state || null;
+            observation.baileyState = baileyState(detailedResponse);
         } catch (error) {
-            console.error(`Error fetching Bailey status for ${finalInstanceId}:`, error.message);
+            logger.error({ instance_id: finalInstanceId, err: error }, 'Error fetching Bailey status');
+            observation.error = error;
         }
-    
-        // Step 5: Check if Bailey status is null 
+        const baileyStatus = observation.baileyState ?? null;
+
+        // Step 5: The remediation policy must allow the logout
+        const decision = await evaluate(target, observation, { countStrikes: false });
+        if (decision.action !== 'logout') {
+            return res.status(409).json({
+                success: false,
+                error: 'Logout not allowed by remediation policy',
+                message: `Rule ${decision.rule} decided ${decision.action}${decision.deferred ? ' (within grace period)' : ''}`,
+                instance_id: finalInstanceId,
+                mobile_number: mobileNumber,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         if (baileyStatus !== null) {
-            console.log(`Warning: Instance ${finalInstanceId} has Bailey status '${baileyStatus}', but proceeding with logout`);
+            logger.warn({ instance_id: finalInstanceId, bailey_state: baileyStatus }, `Instance has Bailey status '${baileyStatus}', but proceeding with logout`);
         }
   
-        // Step 6: Call connect API first
-        try {
-            console.log(`Connecting instance ${finalInstanceId} before logout...`);
-            await connectInstance(finalInstanceId, token);
-            console.log(`Successfully connected ${finalInstanceId}, now logging out...`);
-        } catch (connectError) {
-            console.error(`Error connecting instance ${finalInstanceId}:`, connectError.message);
-        }
-    
-        // Step 7: Immediately call logout API
-        try {
-            await logoutInstance(finalInstanceId, token);
-            console.log(`Successfully logged out instance ${finalInstanceId}`);
-        } catch (logoutError) {
-            console.error(`Error logging out instance ${finalInstanceId}:`, logoutError.message);
+        // Step 6: Connect, logout and mark offline in MongoDB
+        const result = await carryOut(target, observation, decision, { source: 'logout-instance' });
+
+        if (!result.loggedOut) {
             return res.status(500).json({
                 success: false,
                 error: 'Failed to logout instance',
-                message: logoutError.response?.data || logoutError.message,
+                message: result.error,
                 instance_id: finalInstanceId,
                 mobile_number: mobileNumber,
                 timestamp: new Date().toISOString()
             });
         }
-  
-        // Step 8: Mark offline in MongoDB
-        let markOfflineResult = null;
-        try {
-            const response = await markInstanceOffline(finalInstanceId);
-            markOfflineResult = response.status;
-            console.log(`Instance ${finalInstanceId} marked OFFLINE in MongoDB`);
-        } catch (mongoError) {
-            console.error(`Failed to update MongoDB for ${finalInstanceId}:`, mongoError.message);
-        }
 
         res.status(200).json({
             success: true,
@@ -1017,27 +1438,37 @@ app.post('/logout-instance', async (req, res) => {
             },
             current_status: {
                 codechat_status: 'OFFLINE',
-                mongo_status: markOfflineResult
+                mongo_status: result.mongoStatus
             },
+            impact: result.impact,
+            held_messages: result.heldMessages,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Error in logout-instance endpoint:', error);
+        logger.error({ err: error }, 'Error in logout-instance endpoint');
       
-        if (error.response) {
-            return res.status(error.response.status || 500).json({
+        if (error instanceof CircuitOpenError) {
+            return res.status(503).json({
                 success: false,
-                error: 'External API error',
-                message: error.response.data?.message || error.message,
+                error: 'External service unavailable',
+                message: 'Codechat circuit breaker is open; no logout was attempted',
+                circuit: getCircuitStatus(),
                 timestamp: new Date().toISOString()
             });
-        } else if (error.request) {
+        } else if (error instanceof UnreachableError) {
             return res.status(503).json({
                 success: false,
                 error: 'External service unavailable',
                 message: 'Unable to connect to CODECHT API',
                 timestamp: new Date().toISOString()
             });
+        } else if (error instanceof CodechatError) {
+            return res.status(error.status || 502).json({
+                success: false,
+                error: 'External API error',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
         } else {
             return res.status(500).json({
                 success: false,
@@ -1054,11 +1485,11 @@ async function startServer(){
     try{
         await connectDb() 
         app.listen(PORT, () => {
-            console.log(`WhatsApp Instance Monitor running on port ${PORT}`);
+            logger.info({ port: PORT }, `WhatsApp Instance Monitor running on port ${PORT}`);
         });
     }
     catch(err){
-        console.log(`Error in starting Server - ${err.message}`)
+        logger.error({ err }, 'Error in starting Server')
     }
 }
 
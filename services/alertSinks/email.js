@@ -0,0 +1,21 @@
+const emailChannel = require('../channels/email');
+
+// Alert sink emailing ALERT_EMAIL_TO (comma-separated) through the SMTP server of the
+// customer email channel
+module.exports = {
+    name: 'email',
+
+    isConfigured() {
+        return Boolean(process.env.ALERT_EMAIL_TO) && emailChannel.isConfigured();
+    },
+
+    async send({ severity, title, text, source, env, fields, timestamp }) {
+        const details = Object.entries(fields).map(([name, value]) => `${name}: ${value}`);
+
+        await emailChannel.send({
+            recipient: process.env.ALERT_EMAIL_TO,
+            subject: `[${env.toUpperCase()}] [${severity}] ${source}: ${title}`,
+            text: [text, '', ...details, `Environment: ${env}`, `Timestamp: ${timestamp}`].join('\n')
+        });
+    }
+};
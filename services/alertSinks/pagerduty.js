@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+const ALERT_TIMEOUT_MS = parseInt(process.env.ALERT_TIMEOUT_MS) || 10000;
+const PAGERDUTY_EVENTS_URL = process.env.PAGERDUTY_EVENTS_URL || 'https://events.pagerduty.com/v2/enqueue';
+
+const PAGERDUTY_SEVERITIES = {
+    warning: 'warning',
+    danger: 'critical'
+};
+
+// Alert sink opening PagerDuty incidents through the Events API v2 (or any service that
+// speaks it). Alerts with the same dedupKey update one incident, and a good alert with
+// that dedupKey resolves it; a good alert without one has nothing to resolve.
+module.exports = {
+    name: 'pagerduty',
+
+    isConfigured() {
+        return Boolean(process.env.PAGERDUTY_ROUTING_KEY);
+    },
+
+    async send({ severity, title, text, source, env, fields, dedupKey, timestamp }) {
+        if (severity === 'good') {
+            if (!dedupKey) return { skipped: 'No incident to resolve' };
+            await axios.post(PAGERDUTY_EVENTS_URL, {
+                routing_key: process.env.PAGERDUTY_ROUTING_KEY,
+                event_action: 'resolve',
+                dedup_key: dedupKey
+            }, { timeout: ALERT_TIMEOUT_MS });
+            return;
+        }
+
+        await axios.post(PAGERDUTY_EVENTS_URL, {
+            routing_key: process.env.PAGERDUTY_ROUTING_KEY,
+            event_action: 'trigger',
+            ...(dedupKey && { dedup_key: dedupKey }),
+            payload: {
+                summary: `[${env.toUpperCase()}] ${title}`,
+                source,
+                severity: PAGERDUTY_SEVERITIES[severity],
+                timestamp,
+                custom_details: { text, env, ...fields }
+            }
+        }, { timeout: ALERT_TIMEOUT_MS });
+    }
+};
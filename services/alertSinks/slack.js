@@ -0,0 +1,103 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Incident = require('../../models/Incident');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('slack');
+
+const ALERT_TIMEOUT_MS = parseInt(process.env.ALERT_TIMEOUT_MS) || 10000;
+const SLACK_API_URL = process.env.SLACK_API_URL || 'https://slack.com/api';
+
+// Thread of each dedup key, by the ts of its first message. A dedup key that is the key
+// of an active incident keeps its thread on the incident, so it survives a restart and is
+// shared between processes; other keys, or all of them without MongoDB, are kept here.
+// Forgotten once a good alert closes it.
+const threads = new Map();
+
+function connected() {
+    return mongoose.connection.readyState === 1;
+}
+
+async function findThread(dedupKey) {
+    if (connected()) {
+        try {
+            const incident = await Incident.findOne({ key: dedupKey, active: true }).select('slack_thread_ts').lean();
+            if (incident) return incident.slack_thread_ts || null;
+        } catch (mongoError) {
+            logger.error({ dedup_key: dedupKey, err: mongoError }, 'Failed to read the Slack thread of the incident');
+        }
+    }
+    return threads.get(dedupKey) || null;
+}
+
+async function saveThread(dedupKey, ts) {
+    threads.set(dedupKey, ts);
+    if (!connected()) return;
+    try {
+        await Incident.updateOne({ key: dedupKey, active: true }, { $set: { slack_thread_ts: ts } });
+    } catch (mongoError) {
+        logger.error({ dedup_key: dedupKey, err: mongoError }, 'Failed to store the Slack thread on the incident');
+    }
+}
+
+function attachment({ severity, title, text, source, env, fields, timestamp }) {
+    return {
+        color: severity,
+        title: `WhatsApp Instance Monitor: ${source} - ${env.toUpperCase()}`,
+        text: text ? `*${title}*\n\n${text}` : `*${title}*`,
+        timestamp: Math.floor(new Date(timestamp).getTime() / 1000),
+        fields: [
+            { title: 'Environment', value: env, short: true },
+            ...Object.entries(fields).map(([name, value]) => ({ title: name, value: String(value), short: true })),
+            { title: 'Timestamp', value: timestamp, short: true }
+        ]
+    };
+}
+
+// Post through the Web API so that alerts with the same dedupKey go to one thread; danger
+// and good replies are also shown in the channel
+async function postToThread(alert) {
+    const thread = alert.dedupKey && await findThread(alert.dedupKey);
+    const { data } = await axios.post(`${SLACK_API_URL}/chat.postMessage`, {
+        channel: process.env.SLACK_CHANNEL,
+        text: `${alert.title} (${alert.source})`,
+        attachments: [attachment(alert)],
+        ...(thread && { thread_ts: thread, reply_broadcast: alert.severity !== 'warning' })
+    }, {
+        headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+        timeout: ALERT_TIMEOUT_MS
+    });
+    if (!data.ok) {
+        throw new Error(`Slack API error: ${data.error}`);
+    }
+
+    if (!alert.dedupKey) return;
+    if (alert.severity === 'good') {
+        threads.delete(alert.dedupKey);
+    } else if (!thread) {
+        await saveThread(alert.dedupKey, data.ts);
+    }
+}
+
+// Alert sink posting a colored attachment to Slack. Slack's attachment colors are the alert
+// severities. With SLACK_BOT_TOKEN and SLACK_CHANNEL, alerts about the same problem are
+// threaded under its first message; otherwise each goes to SLACK_WEBHOOK_URL on its own.
+module.exports = {
+    name: 'slack',
+
+    isConfigured() {
+        return Boolean(process.env.SLACK_WEBHOOK_URL || (process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL));
+    },
+
+    async send(alert) {
+        if (process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL) {
+            return postToThread(alert);
+        }
+
+        await axios.post(process.env.SLACK_WEBHOOK_URL, {
+            attachments: [attachment(alert)]
+        }, {
+            timeout: ALERT_TIMEOUT_MS
+        });
+    }
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const ALERT_TIMEOUT_MS = parseInt(process.env.ALERT_TIMEOUT_MS) || 10000;
+
+// Alert sink posting the alert as JSON to ALERT_WEBHOOK_URL. With ALERT_WEBHOOK_SECRET set,
+// the request carries X-Alert-Timestamp and X-Alert-Signature: "sha256=" and the hex
+// HMAC-SHA256 of "<timestamp>.<body>", so the receiver can check where it came from and
+// reject replays.
+module.exports = {
+    name: 'webhook',
+
+    isConfigured() {
+        return Boolean(process.env.ALERT_WEBHOOK_URL);
+    },
+
+    async send(alert) {
+        const body = JSON.stringify({ event: 'alert', ...alert });
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (process.env.ALERT_WEBHOOK_SECRET) {
+            const sentAt = Math.floor(Date.now() / 1000).toString();
+            const signature = crypto.createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET)
+                .update(`${sentAt}.${body}`)
+                .digest('hex');
+            headers['X-Alert-Timestamp'] = sentAt;
+            headers['X-Alert-Signature'] = `sha256=${signature}`;
+        }
+
+        // The body is sent exactly as signed
+        await axios.post(process.env.ALERT_WEBHOOK_URL, body, {
+            headers,
+            timeout: ALERT_TIMEOUT_MS
+        });
+    }
+};
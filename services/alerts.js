@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const defaultRouting = require('../config/alertRouting');
+const { recordAlert } = require('../utils/metrics');
+const { createLogger, correlationId } = require('../utils/logger');
+
+const logger = createLogger('alerts');
+
+// Sinks an operator alert can go out through, by name; each one exposes
+// isConfigured() and send(alert), which may resolve to { skipped } when it has nothing to do
+const SINKS = {
+    slack: require('./alertSinks/slack'),
+    webhook: require('./alertSinks/webhook'),
+    email: require('./alertSinks/email'),
+    pagerduty: require('./alertSinks/pagerduty')
+};
+
+const SEVERITIES = ['good', 'warning', 'danger'];
+
+function loadRouting() {
+    const file = process.env.ALERT_ROUTING_FILE;
+    const routing = file
+        ? { ...defaultRouting, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultRouting;
+
+    for (const [severity, sinks] of Object.entries(routing)) {
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid alert routing: unknown severity ${severity}; expected one of ${SEVERITIES.join(', ')}`);
+        }
+        if (!Array.isArray(sinks)) {
+            throw new Error(`Invalid alert routing: ${severity} must be an array of sinks`);
+        }
+        const unknownSink = sinks.find(name => !SINKS[name]);
+        if (unknownSink) {
+            throw new Error(`Invalid alert routing: unknown sink ${unknownSink} for ${severity}; expected one of ${Object.keys(SINKS).join(', ')}`);
+        }
+    }
+    return routing;
+}
+
+const routing = loadRouting();
+
+// Names of the sinks that are configured, whatever the routing
+function configuredSinks() {
+    return Object.values(SINKS).filter(sink => sink.isConfigured()).map(sink => sink.name);
+}
+
+// Send an operator alert to every configured sink routed for its severity ('good',
+// 'warning' or 'danger'). `source` names the component raising it (e.g. 'health-monitor'),
+// `fields` are extra name/value details, and `dedupKey` groups repeated alerts about the
+// same problem into one incident where the sink supports it. A failing sink never fails
+// the caller. Resolves to one entry per routed sink.
+async function notify({ severity, title, text = '', source, fields = {}, dedupKey }) {
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Unknown alert severity ${severity}`);
+    }
+
+    const alert = {
+        severity,
+        title,
+        text,
+        source,
+        env: process.env.ENV || 'dev',
+        fields,
+        dedupKey,
+        correlationId: correlationId(),
+        timestamp: new Date().toISOString()
+    };
+    const results = [];
+
+    for (const sink of (routing[severity] || []).map(name => SINKS[name])) {
+        if (!sink.isConfigured()) {
+            results.push({ sink: sink.name, status: 'skipped', message: 'Not configured' });
+            continue;
+        }
+
+        try {
+            const outcome = await sink.send(alert);
+            if (outcome?.skipped) {
+                results.push({ sink: sink.name, status: 'skipped', message: outcome.skipped });
+                continue;
+            }
+        } catch (error) {
+            logger.error({ sink: sink.name, severity, source, err: error }, `Failed to send ${severity} alert via ${sink.name}`);
+            recordAlert(sink.name, severity, false);
+            results.push({ sink: sink.name, status: 'failed', error: error.message });
+            continue;
+        }
+
+        logger.info({ sink: sink.name, severity, source, dedup_key: dedupKey }, `Sent ${severity} alert via ${sink.name}: ${title}`);
+        recordAlert(sink.name, severity, true);
+        results.push({ sink: sink.name, status: 'sent' });
+    }
+
+    return results;
+}
+
+module.exports = {
+    SEVERITIES,
+    notify,
+    configuredSinks
+};
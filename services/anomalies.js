@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const SweepRun = require('../models/SweepRun');
+const Incident = require('../models/Incident');
+const defaultPolicy = require('../config/anomalyPolicy');
+const { SEVERITIES, notify } = require('./alerts');
+const { recordAnomaly } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('anomalies');
+
+const METRICS = ['loggedOut', 'reconnected', 'alerted', 'deferred', 'closedConnections', 'nullBailey', 'lookupFailed'];
+const LIMITS = ['count', 'percent', 'baselineFactor'];
+
+// All fleet anomalies share one incident at a time
+const ANOMALY_KEY = 'instance-sweep:anomaly';
+
+function loadPolicy() {
+    const file = process.env.ANOMALY_POLICY_FILE;
+    const policy = file
+        ? { ...defaultPolicy, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultPolicy;
+
+    for (const [metric, limits] of Object.entries(policy.thresholds || {})) {
+        if (!METRICS.includes(metric)) {
+            throw new Error(`Invalid anomaly policy: unknown statistic ${metric}; expected one of ${METRICS.join(', ')}`);
+        }
+        for (const [limit, value] of Object.entries(limits)) {
+            if (!LIMITS.includes(limit)) {
+                throw new Error(`Invalid anomaly policy: ${metric} has unknown threshold ${limit}; expected one of ${LIMITS.join(', ')}`);
+            }
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new Error(`Invalid anomaly policy: ${metric}.${limit} must be a positive number`);
+            }
+        }
+    }
+    const { runs, minRuns, minIncrease } = policy.baseline || {};
+    if (!Number.isInteger(runs) || !Number.isInteger(minRuns) || minRuns < 1 || minRuns > runs) {
+        throw new Error('Invalid anomaly policy: baseline needs integer runs and minRuns, with 1 <= minRuns <= runs');
+    }
+    if (!Number.isFinite(minIncrease) || minIncrease < 0) {
+        throw new Error('Invalid anomaly policy: baseline.minIncrease must be a number, 0 or more');
+    }
+    if (typeof policy.pauseRemediation !== 'boolean') {
+        throw new Error('Invalid anomaly policy: pauseRemediation must be true or false');
+    }
+    if (!SEVERITIES.includes(policy.severity)) {
+        throw new Error(`Invalid anomaly policy: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return policy;
+}
+
+const policy = loadPolicy();
+
+// Average of each statistic over the last complete sweeps, or null before baseline.minRuns
+// of them were recorded
+async function loadBaseline() {
+    const runs = await SweepRun.find({ status: 'completed', dry_run: false })
+        .sort({ started_at: -1 })
+        .limit(policy.baseline.runs)
+        .select('statistics')
+        .lean();
+    if (runs.length < policy.baseline.minRuns) return null;
+
+    return Object.fromEntries(METRICS.map(metric => [
+        metric,
+        runs.reduce((sum, run) => sum + (run.statistics?.[metric] || 0), 0) / runs.length
+    ]));
+}
+
+// Thresholds the statistics of a sweep cross, given the baseline (null to skip those)
+function findAnomalies(statistics, baseline) {
+    const anomalies = [];
+    const fleet = statistics.onlineInstances;
+
+    for (const [metric, limits] of Object.entries(policy.thresholds)) {
+        const value = statistics[metric] || 0;
+        const percent = fleet > 0 ? Math.round(value / fleet * 1000) / 10 : 0;
+
+        if (limits.count && value >= limits.count) {
+            anomalies.push({ metric, threshold: 'count', value, limit: limits.count, message: `${metric} is ${value} (threshold ${limits.count})` });
+        }
+        if (limits.percent && fleet > 0 && percent >= limits.percent) {
+            anomalies.push({ metric, threshold: 'percent', value, percent, limit: limits.percent, message: `${metric} is ${value} of ${fleet} online instances, ${percent}% (threshold ${limits.percent}%)` });
+        }
+        if (limits.baselineFactor && baseline) {
+            const average = Math.round(baseline[metric] * 10) / 10;
+            if (value >= baseline[metric] * limits.baselineFactor && value - baseline[metric] >= policy.baseline.minIncrease) {
+                anomalies.push({ metric, threshold: 'baseline', value, baseline: average, limit: limits.baselineFactor, message: `${metric} is ${value}, ${limits.baselineFactor}x or more its recent average of ${average}` });
+            }
+        }
+    }
+    return anomalies;
+}
+
+// The unresolved fleet anomaly incident that holds logouts back, or null
+async function remediationPause() {
+    return Incident.findOne({ key: ANOMALY_KEY, active: true, pauses_remediation: true })
+        .select('title opened_at last_error')
+        .lean();
+}
+
+async function alertAnomalies(incident, anomalies, fields) {
+    const pauseNote = incident.pauses_remediation
+        ? `\n\nLogouts by the sweep are paused until an operator resolves incident ${incident._id} (POST /incidents/${incident._id}/resolve).`
+        : '';
+    await notify({
+        severity: policy.severity,
+        title: 'Fleet anomaly',
+        text: anomalies.map(anomaly => `- ${anomaly.message}`).join('\n') + pauseNote,
+        source: 'instance-sweep',
+        fields: { ...fields, Incident: String(incident._id) },
+        dedupKey: ANOMALY_KEY
+    });
+    await Incident.updateOne(
+        { _id: incident._id },
+        {
+            $set: { last_alert_at: new Date(), tier: 0, ...(policy.severity === 'danger' && { paged: true }) },
+            $inc: { alerts_sent: 1 },
+            $push: { events: { type: 'alerted', severity: policy.severity, message: anomalies.map(anomaly => anomaly.message).join('; ') } }
+        }
+    );
+}
+
+// Check the statistics of a complete sweep against the anomaly thresholds. Anomalies open
+// (or update) the fleet anomaly incident, which is alerted when it opens and, until it is
+// acknowledged, whenever a threshold is crossed that the sweep before did not cross. A
+// sweep without anomalies resolves an incident that does not pause remediation. Resolves
+// to the anomalies found.
+async function checkSweep(statistics, { trigger, runId }) {
+    const baseline = await loadBaseline();
+    const anomalies = findAnomalies(statistics, baseline);
+    const fields = { Trigger: trigger, Run: runId ? String(runId) : 'not recorded', 'Online Instances': statistics.onlineInstances };
+
+    if (anomalies.length === 0) {
+        const cleared = await Incident.findOneAndUpdate(
+            { key: ANOMALY_KEY, active: true, pauses_remediation: false },
+            {
+                $set: { state: 'resolved', active: false, resolved_at: new Date(), resolved_by: 'instance-sweep' },
+                $push: { events: { type: 'resolved', message: 'A sweep found no anomalies', by: 'instance-sweep' } }
+            },
+            { new: true }
+        ).lean();
+        if (cleared) {
+            logger.info({ incident_id: cleared._id }, 'Fleet anomaly cleared');
+            await notify({
+                severity: 'good',
+                title: 'Fleet anomaly cleared',
+                text: 'A sweep found the fleet back within the anomaly thresholds.',
+                source: 'instance-sweep',
+                fields: { ...fields, Incident: String(cleared._id) },
+                dedupKey: ANOMALY_KEY
+            });
+        }
+        return anomalies;
+    }
+
+    anomalies.forEach(anomaly => recordAnomaly(anomaly.metric, anomaly.threshold));
+    logger.warn({ anomalies, run_id: runId }, `Fleet anomaly: ${anomalies.map(anomaly => anomaly.message).join('; ')}`);
+
+    const now = new Date();
+    const summary = anomalies.map(anomaly => anomaly.message).join('; ');
+    const previous = await Incident.findOneAndUpdate(
+        { key: ANOMALY_KEY, active: true },
+        {
+            $setOnInsert: {
+                source: 'instance-sweep',
+                title: 'Fleet anomaly',
+                opened_at: now,
+                pauses_remediation: policy.pauseRemediation,
+                events: [{ type: 'opened', message: summary, at: now }]
+            },
+            $set: { last_failure_at: now, last_error: summary, details: anomalies },
+            $inc: { failures: 1 }
+        },
+        { upsert: true, new: false }
+    ).lean();
+    const incident = await Incident.findOne({ key: ANOMALY_KEY, active: true }).lean();
+
+    const alerted = new Set((previous?.details || []).map(anomaly => `${anomaly.metric}:${anomaly.threshold}`));
+    const fresh = anomalies.filter(anomaly => !alerted.has(`${anomaly.metric}:${anomaly.threshold}`));
+    if (!previous || (fresh.length > 0 && incident.state === 'open')) {
+        if (!previous && incident.pauses_remediation) {
+            logger.warn({ incident_id: incident._id }, 'Pausing logouts until the fleet anomaly is resolved');
+        }
+        await alertAnomalies(incident, previous ? fresh : anomalies, fields);
+    }
+    return anomalies;
+}
+
+module.exports = {
+    policy,
+    ANOMALY_KEY,
+    findAnomalies,
+    checkSweep,
+    remediationPause
+};
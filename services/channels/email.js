@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: SMTP_PORT,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transport;
+}
+
+// Customer notification channel sending plain-text email over SMTP
+module.exports = {
+    name: 'email',
+
+    isConfigured() {
+        return Boolean(process.env.SMTP_HOST && process.env.SMTP_FROM);
+    },
+
+    recipient(user) {
+        return user.email || null;
+    },
+
+    async send({ recipient, subject, text }) {
+        await getTransport().sendMail({
+            from: process.env.SMTP_FROM,
+            to: recipient,
+            subject,
+            text
+        });
+    }
+};
@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+const CUSTOMER_WEBHOOK_TIMEOUT_MS = parseInt(process.env.CUSTOMER_WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Event of each notification template, so the receiver can tell them apart
+const EVENTS = {
+    reconnect: 'instance.logged_out',
+    pairing: 'instance.pairing_required'
+};
+
+// Customer notification channel posting JSON to a generic outbound webhook (e.g. an SMS
+// or WhatsApp gateway), which delivers it to the user's mobile number
+module.exports = {
+    name: 'webhook',
+
+    isConfigured() {
+        return Boolean(process.env.CUSTOMER_WEBHOOK_URL);
+    },
+
+    recipient(user) {
+        return user.mobile_number || null;
+    },
+
+    async send({ recipient, subject, text, user, instance_id, reason, template }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.CUSTOMER_WEBHOOK_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.CUSTOMER_WEBHOOK_TOKEN}`;
+        }
+
+        await axios.post(process.env.CUSTOMER_WEBHOOK_URL, {
+            event: EVENTS[template] || `instance.${template}`,
+            template,
+            reason,
+            instance_id,
+            user_id: user._id.toString(),
+            mobile_number: recipient,
+            name: user.name || null,
+            subject,
+            text,
+            sent_at: new Date().toISOString()
+        }, {
+            headers,
+            timeout: CUSTOMER_WEBHOOK_TIMEOUT_MS
+        });
+    }
+};
@@ -0,0 +1,276 @@
+const axios = require('axios');
+const { codechatLimiter, delay } = require('../utils/pool');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const { startCodechatTimer, recordCodechatError, trackCircuitBreaker } = require('../utils/metrics');
+const { createLogger, correlationId } = require('../utils/logger');
+
+const logger = createLogger('codechat');
+
+const CODECHAT_TIMEOUT_MS = parseInt(process.env.CODECHAT_TIMEOUT_MS) || 15000;
+const CODECHAT_RETRIES = parseInt(process.env.CODECHAT_RETRIES) >= 0 ? parseInt(process.env.CODECHAT_RETRIES) : 2;
+const CODECHAT_RETRY_BASE_MS = parseInt(process.env.CODECHAT_RETRY_BASE_MS) || 500;
+const CODECHAT_RETRY_MAX_MS = 10000;
+
+// Shared by every Codechat call in the process: once Codechat is failing too often, stop
+// calling it (and stop any sweep) until the cooldown has passed
+const breaker = createCircuitBreaker({
+    errorRate: parseFloat(process.env.CODECHAT_BREAKER_ERROR_RATE) || 0.5,
+    minRequests: parseInt(process.env.CODECHAT_BREAKER_MIN_REQUESTS) || 10,
+    windowMs: parseInt(process.env.CODECHAT_BREAKER_WINDOW_MS) || 60000,
+    cooldownMs: parseInt(process.env.CODECHAT_BREAKER_COOLDOWN_MS) || 60000
+});
+trackCircuitBreaker(breaker);
+
+// Base class for every error raised by the Codechat client
+class CodechatError extends Error {
+    constructor(message, { status = null, endpoint = null, instanceName = null, data = null, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.instanceName = instanceName;
+        this.data = data;
+    }
+}
+
+// The circuit breaker is open; the request was not sent
+class CircuitOpenError extends CodechatError {}
+
+// Codechat does not know the instance, or says it is not connected
+class InstanceNotFoundError extends CodechatError {}
+
+// The API key or instance token was rejected
+class UnauthorizedError extends CodechatError {}
+
+// No response: connection refused, DNS failure or timeout
+class UnreachableError extends CodechatError {}
+
+// Codechat answered 429
+class RateLimitedError extends CodechatError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+}
+
+// Codechat reports a missing instance on some endpoints as a 400 with this message
+const INSTANCE_MISSING_MESSAGE = 'does not exist or is not connected';
+
+function responseMessages(data) {
+    const message = data?.response?.message ?? data?.message;
+    return (Array.isArray(message) ? message : [message]).filter(msg => typeof msg === 'string');
+}
+
+// Translate an axios error into one of the typed Codechat errors
+function toCodechatError(error, endpoint, instanceName) {
+    const base = { endpoint, instanceName, cause: error };
+    const target = instanceName ? `${endpoint} for ${instanceName}` : endpoint;
+
+    if (!error.response) {
+        return new UnreachableError(`Codechat unreachable on ${target}: ${error.message}`, base);
+    }
+
+    const { status, data, headers } = error.response;
+    const messages = responseMessages(data);
+    const detail = messages.join('; ') || error.message;
+    const options = { ...base, status, data };
+
+    if (status === 404 || (status === 400 && messages.some(msg => msg.includes(INSTANCE_MISSING_MESSAGE)))) {
+        return new InstanceNotFoundError(`${instanceName ? `Instance ${instanceName}` : 'Instance'} not found on Codechat: ${detail}`, options);
+    }
+    if (status === 401 || status === 403) {
+        return new UnauthorizedError(`Codechat rejected credentials on ${target}: ${detail}`, options);
+    }
+    if (status === 429) {
+        const retryAfter = parseInt(headers?.['retry-after']);
+        return new RateLimitedError(`Codechat rate limited ${target}: ${detail}`, {
+            ...options,
+            retryAfterMs: isNaN(retryAfter) ? null : retryAfter * 1000
+        });
+    }
+    return new CodechatError(`Codechat returned ${status} on ${target}: ${detail}`, options);
+}
+
+// Errors that say Codechat itself is unhealthy. These are retried (for reads) and count
+// against the circuit breaker; anything else is a definite answer about the request.
+function isTransient(error) {
+    return error instanceof UnreachableError
+        || error instanceof RateLimitedError
+        || (error instanceof CodechatError && error.status >= 500);
+}
+
+// Full jitter: a random wait up to the exponential backoff for this attempt
+function retryDelay(error, attempt) {
+    if (error instanceof RateLimitedError && error.retryAfterMs) {
+        return error.retryAfterMs;
+    }
+    const backoff = Math.min(CODECHAT_RETRY_BASE_MS * 2 ** attempt, CODECHAT_RETRY_MAX_MS);
+    return Math.floor(Math.random() * backoff);
+}
+
+// Send a request to Codechat with the shared headers, timeout and rate limit.
+// `endpoint` names the operation for errors and logs. Only idempotent reads may pass
+// `retry`: transient failures are then retried with jittered exponential backoff.
+// Throws CircuitOpenError without calling Codechat while the circuit breaker is open.
+async function request(method, path, { endpoint, instanceName, token, retry = false } = {}) {
+    const attempts = retry ? CODECHAT_RETRIES + 1 : 1;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send(method, path, { endpoint, instanceName, token });
+        } catch (error) {
+            if (attempt + 1 >= attempts || !isTransient(error) || breaker.isOpen()) {
+                throw error;
+            }
+            const wait = retryDelay(error, attempt);
+            logger.warn({ endpoint, instance_id: instanceName, attempt: attempt + 2, attempts, wait_ms: wait, err: error }, `Retrying ${endpoint} in ${wait}ms`);
+            await delay(wait);
+        }
+    }
+}
+
+// Send a single request, recording its outcome on the circuit breaker
+async function send(method, path, { endpoint, instanceName, token }) {
+    if (!breaker.allowRequest()) {
+        const target = instanceName ? `${endpoint} for ${instanceName}` : endpoint;
+        recordCodechatError(endpoint, 'circuit_open');
+        throw new CircuitOpenError(`Codechat circuit breaker is open; not calling ${target}`, { endpoint, instanceName });
+    }
+
+    const headers = {
+        'accept': 'application/json',
+        'apikey': process.env.API_KEY
+    };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    // Lets Codechat's logs be matched with the request or sweep that made the call
+    const requestId = correlationId();
+    if (requestId) {
+        headers['X-Request-Id'] = requestId;
+    }
+
+    await codechatLimiter.acquire();
+    const endTimer = startCodechatTimer(endpoint);
+
+    try {
+        const response = await axios.request({
+            method,
+            url: `${process.env.CODECHAT_URL}${path}`,
+            headers,
+            timeout: CODECHAT_TIMEOUT_MS
+        });
+        endTimer();
+        breaker.recordSuccess();
+        logger.debug({ endpoint, instance_id: instanceName, status: response.status }, `Codechat ${endpoint} answered ${response.status}`);
+        return response.data;
+    } catch (error) {
+        const codechatError = toCodechatError(error, endpoint, instanceName);
+        endTimer(codechatError);
+        logger.debug({ endpoint, instance_id: instanceName, status: codechatError.status, err: codechatError }, `Codechat ${endpoint} failed`);
+        if (isTransient(codechatError)) {
+            breaker.recordFailure();
+        } else {
+            breaker.recordSuccess();
+        }
+        throw codechatError;
+    }
+}
+
+// Fetch all instances, or only the named one. Always resolves to an array.
+async function fetchInstances(instanceName) {
+    if (instanceName) {
+        logger.debug({ instance_id: instanceName }, 'Fetching instance');
+        const data = await request('get', `/instance/fetchInstances?instanceName=${encodeURIComponent(instanceName)}`, {
+            endpoint: 'fetchInstances',
+            instanceName,
+            retry: true
+        });
+        return Array.isArray(data) ? data : [data];
+    }
+
+    logger.debug('Fetching instances');
+    const data = await request('get', '/instance/fetchInstances', { endpoint: 'fetchInstances', retry: true });
+    const instances = Array.isArray(data) ? data : [data].filter(Boolean);
+    logger.debug({ count: instances.length }, `Found ${instances.length} instances`);
+    return instances;
+}
+
+// Fetch the details of one instance, including its WhatsApp (Bailey) connection state
+async function fetchInstanceDetails(instanceName, token) {
+    logger.debug({ instance_id: instanceName }, 'Fetching instance details');
+    return request('get', `/instance/fetchInstance/${encodeURIComponent(instanceName)}`, {
+        endpoint: 'fetchInstance',
+        instanceName,
+        token,
+        retry: true
+    });
+}
+
+// Connect/reconnect an instance. The response contains `base64` when a QR scan is required.
+async function connectInstance(instanceName, token) {
+    logger.info({ instance_id: instanceName }, 'Connecting instance');
+    const data = await request('get', `/instance/connect/${encodeURIComponent(instanceName)}`, {
+        endpoint: 'connect',
+        instanceName,
+        token
+    });
+    logger.info({ instance_id: instanceName }, 'Connected instance');
+    return data;
+}
+
+// Log out an instance's WhatsApp session
+async function logoutInstance(instanceName, token) {
+    logger.info({ instance_id: instanceName }, 'Logging out instance');
+    await request('delete', `/instance/logout/${encodeURIComponent(instanceName)}`, {
+        endpoint: 'logout',
+        instanceName,
+        token
+    });
+    logger.info({ instance_id: instanceName }, 'Logged out instance');
+    return { success: true };
+}
+
+// Delete an instance from Codechat altogether
+async function deleteInstance(instanceName, token) {
+    logger.info({ instance_id: instanceName }, 'Deleting instance');
+    await request('delete', `/instance/delete/${encodeURIComponent(instanceName)}`, {
+        endpoint: 'delete',
+        instanceName,
+        token
+    });
+    logger.info({ instance_id: instanceName }, 'Deleted instance');
+    return { success: true };
+}
+
+// Whether the circuit breaker is open, i.e. Codechat calls are currently refused
+function isCircuitOpen() {
+    return breaker.isOpen();
+}
+
+// Current circuit breaker state and error rate, for health and status responses
+function getCircuitStatus() {
+    return breaker.status();
+}
+
+// Read the Bailey (WhatsApp) connection state out of fetchInstanceDetails' response
+function baileyState(instanceDetails) {
+    return instanceDetails?.Whatsapp?.connection?.state || null;
+}
+
+module.exports = {
+    fetchInstances,
+    fetchInstanceDetails,
+    connectInstance,
+    logoutInstance,
+    deleteInstance,
+    baileyState,
+    isCircuitOpen,
+    getCircuitStatus,
+    CodechatError,
+    CircuitOpenError,
+    InstanceNotFoundError,
+    UnauthorizedError,
+    UnreachableError,
+    RateLimitedError
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const defaultTemplates = require('../config/notificationTemplates');
+const { createLogger } = require('../utils/logger');
+
+// Channels a notification can go out through, by name; each one exposes
+// isConfigured(), recipient(user) and send(notification)
+const CHANNELS = {
+    email: require('./channels/email'),
+    webhook: require('./channels/webhook')
+};
+
+const logger = createLogger('customer-notifications');
+
+const CUSTOMER_NOTIFY_CHANNELS = (process.env.CUSTOMER_NOTIFY_CHANNELS || 'email,webhook')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const CUSTOMER_NOTIFY_REASONS = (process.env.CUSTOMER_NOTIFY_REASONS || 'QR_REQUIRED,NULL_BAILEY')
+    .split(',').map(reason => reason.trim()).filter(Boolean);
+const CUSTOMER_NOTIFY_LIMIT = parseInt(process.env.CUSTOMER_NOTIFY_LIMIT) || 1;
+const CUSTOMER_NOTIFY_WINDOW_MS = parseInt(process.env.CUSTOMER_NOTIFY_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+function loadTemplates() {
+    const file = process.env.NOTIFICATION_TEMPLATES_FILE;
+    if (!file) return defaultTemplates;
+
+    const override = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return {
+        templates: { ...defaultTemplates.templates, ...override.templates },
+        causes: { ...defaultTemplates.causes, ...override.causes }
+    };
+}
+
+const { templates, causes } = loadTemplates();
+
+const unknownChannel = CUSTOMER_NOTIFY_CHANNELS.find(name => !CHANNELS[name]);
+if (unknownChannel) {
+    throw new Error(`Unknown customer notification channel ${unknownChannel}; expected one of ${Object.keys(CHANNELS).join(', ')}`);
+}
+
+function render(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? '');
+}
+
+async function recordNotification(notification) {
+    try {
+        await Notification.create(notification);
+    } catch (mongoError) {
+        logger.error({ instance_id: notification.instance_id, status: notification.status, err: mongoError }, 'Failed to record notification');
+    }
+}
+
+// Channels that are both enabled and configured
+function activeChannels() {
+    return CUSTOMER_NOTIFY_CHANNELS.map(name => CHANNELS[name]).filter(channel => channel.isConfigured());
+}
+
+// Send one user a templated notification on every active channel they can be reached on,
+// at most CUSTOMER_NOTIFY_LIMIT per channel and template within CUSTOMER_NOTIFY_WINDOW_MS.
+// `values` fills template-specific placeholders. Every attempt is recorded in the
+// notifications collection. Resolves to one entry per channel.
+async function notifyUser(user, { template = 'reconnect', instanceId, reason, source, values: extraValues = {} }) {
+    const content = templates[template];
+    if (!content) throw new Error(`Unknown notification template ${template}`);
+
+    const values = {
+        name: user.name || 'there',
+        mobile_number: user.mobile_number,
+        instance_id: instanceId,
+        cause: causes[reason] || '',
+        reconnect_url: process.env.CUSTOMER_RECONNECT_URL || '',
+        ...extraValues
+    };
+    const subject = render(content.subject, values);
+    const text = render(content.text, values);
+    const since = new Date(Date.now() - CUSTOMER_NOTIFY_WINDOW_MS);
+    const sent = [];
+
+    for (const channel of activeChannels()) {
+        const recipient = channel.recipient(user);
+        if (!recipient) {
+            sent.push({ channel: channel.name, status: 'skipped', message: 'No recipient for this channel' });
+            continue;
+        }
+
+        const record = {
+            user_id: user._id,
+            instance_id: instanceId,
+            channel: channel.name,
+            recipient,
+            template,
+            reason,
+            subject,
+            text,
+            source
+        };
+
+        try {
+            const recent = await Notification.countDocuments({
+                user_id: user._id,
+                channel: channel.name,
+                template,
+                status: 'sent',
+                created_at: { $gte: since }
+            });
+            if (recent >= CUSTOMER_NOTIFY_LIMIT) {
+                await recordNotification({ ...record, status: 'rate_limited' });
+                sent.push({ channel: channel.name, recipient, status: 'rate_limited' });
+                continue;
+            }
+
+            await channel.send({ ...record, user });
+        } catch (error) {
+            logger.error({ instance_id: instanceId, template, channel: channel.name, err: error }, `Failed to send ${template} notification via ${channel.name}`);
+            await recordNotification({ ...record, status: 'failed', error: error.message });
+            sent.push({ channel: channel.name, recipient, status: 'failed', error: error.message });
+            continue;
+        }
+
+        logger.info({ instance_id: instanceId, template, channel: channel.name, recipient }, `Sent ${template} notification via ${channel.name}`);
+        await recordNotification({ ...record, status: 'sent' });
+        sent.push({ channel: channel.name, recipient, status: 'sent' });
+    }
+
+    return sent;
+}
+
+// Tell the user of an instance that was logged out to reconnect, if the reason of the
+// logout is one customers are notified about. Resolves to the channel entries, or null
+// when nothing was attempted. Never throws: a notification must not fail a logout.
+async function notifyLoggedOut(instanceName, reason, { source } = {}) {
+    if (!CUSTOMER_NOTIFY_REASONS.includes(reason) || activeChannels().length === 0) return null;
+
+    try {
+        const user = await User.findOne({ instance_id: instanceName })
+            .select('mobile_number email name')
+            .lean();
+        if (!user) return null;
+
+        return await notifyUser(user, { template: 'reconnect', instanceId: instanceName, reason, source });
+    } catch (error) {
+        logger.error({ instance_id: instanceName, err: error }, 'Failed to notify the user of the instance');
+        return null;
+    }
+}
+
+// Send the user of an instance waiting for a QR scan the link to the pairing QR.
+// Resolves like notifyLoggedOut and never throws either.
+async function notifyPairing(instanceName, { link, logoutAfter, source } = {}) {
+    if (activeChannels().length === 0) return null;
+
+    try {
+        const user = await User.findOne({ instance_id: instanceName })
+            .select('mobile_number email name')
+            .lean();
+        if (!user) return null;
+
+        return await notifyUser(user, {
+            template: 'pairing',
+            instanceId: instanceName,
+            reason: 'QR_REQUIRED',
+            source,
+            values: {
+                pairing_url: link,
+                logout_after: logoutAfter ? logoutAfter.toUTCString() : 'it expires'
+            }
+        });
+    } catch (error) {
+        logger.error({ instance_id: instanceName, err: error }, 'Failed to send the pairing link');
+        return null;
+    }
+}
+
+module.exports = {
+    notifyUser,
+    notifyLoggedOut,
+    notifyPairing
+};
@@ -0,0 +1,190 @@
+const User = require('../models/User');
+const { forEachInstance } = require('../utils/pool');
+const { fetchInstances, fetchInstanceDetails, baileyState } = require('./codechat');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('impact');
+
+const PENDING_IMPACT_WINDOW_MS = parseInt(process.env.PENDING_IMPACT_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+// Aggregation stage projecting the sends of a user that are due by `horizon`:
+//   pending_messages   unsent messages (pending or on_hold) scheduled up to the horizon,
+//                      overdue ones included
+//   overdue_messages   those messages whose scheduled_at has already passed
+//   next_scheduled_at  earliest scheduled_at among those messages
+//   sequences          sequences with a send between now and the horizon
+//   groups             pending group messages (they carry no schedule, so all of them count)
+function impactProjection(now, horizon) {
+    const dueMessages = {
+        $filter: {
+            input: { $ifNull: ['$messages', []] },
+            as: 'message',
+            cond: {
+                $and: [
+                    { $in: ['$$message.status', ['pending', 'on_hold']] },
+                    { $lte: ['$$message.scheduled_at', horizon] }
+                ]
+            }
+        }
+    };
+    // A sequence runs from start_time until its last message, delay_seconds apart
+    const sequenceEnd = {
+        $add: [
+            '$$sequence.start_time',
+            { $multiply: [{ $max: [{ $subtract: [{ $size: '$$sequence.message_ids' }, 1] }, 0] }, '$$sequence.delay_seconds', 1000] }
+        ]
+    };
+
+    return {
+        $project: {
+            instance_id: 1,
+            mobile_number: 1,
+            status: 1,
+            due_messages: dueMessages,
+            sequences: {
+                $size: {
+                    $filter: {
+                        input: { $ifNull: ['$sequences', []] },
+                        as: 'sequence',
+                        cond: {
+                            $and: [
+                                { $lte: ['$$sequence.start_time', horizon] },
+                                { $gte: [sequenceEnd, now] }
+                            ]
+                        }
+                    }
+                }
+            },
+            groups: {
+                $size: {
+                    $filter: {
+                        input: { $ifNull: ['$groups', []] },
+                        as: 'group',
+                        cond: { $eq: ['$$group.status', 'pending'] }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function toImpact(row, now, windowMs) {
+    const scheduled = row.due_messages.map(message => new Date(message.scheduled_at));
+    return {
+        window_ms: windowMs,
+        pending_messages: scheduled.length,
+        overdue_messages: scheduled.filter(date => date < now).length,
+        next_scheduled_at: scheduled.length ? new Date(Math.min(...scheduled)) : null,
+        sequences: row.sequences,
+        groups: row.groups
+    };
+}
+
+function hasPendingSends(impact) {
+    return impact.pending_messages + impact.sequences + impact.groups > 0;
+}
+
+// Work out what the user of an instance has queued to send within `windowMs`.
+// Resolves to null when no user has the instance or the lookup fails: the impact
+// is informational and must never stand in the way of a logout.
+async function pendingImpact(instanceName, { windowMs = PENDING_IMPACT_WINDOW_MS } = {}) {
+    if (!instanceName) return null;
+    const now = new Date();
+
+    try {
+        const [row] = await User.aggregate([
+            { $match: { instance_id: instanceName } },
+            { $limit: 1 },
+            impactProjection(now, new Date(now.getTime() + windowMs))
+        ]);
+        if (!row) return null;
+
+        const impact = toImpact(row, now, windowMs);
+        if (hasPendingSends(impact)) {
+            logger.warn({ instance_id: instanceName, impact, window_ms: windowMs }, `Instance has ${impact.pending_messages} pending messages (${impact.overdue_messages} overdue), ${impact.sequences} sequences and ${impact.groups} group messages due within ${windowMs}ms`);
+        }
+        return impact;
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to compute pending impact');
+        return null;
+    }
+}
+
+// List the users with sends due within `windowMs` whose instance is not connected to
+// WhatsApp (missing from Codechat, not ONLINE, or a Bailey state other than open),
+// soonest first. Bailey is only asked about ONLINE instances of users with pending sends.
+async function findUsersAtRisk({ windowMs = PENDING_IMPACT_WINDOW_MS } = {}) {
+    const now = new Date();
+    const rows = await User.aggregate([
+        { $match: { instance_id: { $nin: [null, ''] } } },
+        impactProjection(now, new Date(now.getTime() + windowMs))
+    ]);
+
+    const withSends = rows
+        .map(row => ({ row, impact: toImpact(row, now, windowMs) }))
+        .filter(({ impact }) => hasPendingSends(impact));
+
+    const statistics = {
+        usersWithPendingSends: withSends.length,
+        atRisk: 0,
+        pendingMessages: 0,
+        sequences: 0,
+        groups: 0,
+        undetermined: 0
+    };
+    if (withSends.length === 0) return { users: [], statistics };
+
+    const instances = await fetchInstances();
+    const instancesByName = new Map(instances.map(instance => [instance.name, instance]));
+
+    const checked = await forEachInstance(withSends, async ({ row, impact }) => {
+        const instance = instancesByName.get(row.instance_id);
+        const entry = {
+            user_id: row._id.toString(),
+            instance_id: row.instance_id,
+            mobile_number: row.mobile_number,
+            mongo_status: row.status,
+            codechat_status: instance?.connectionStatus || null,
+            bailey_state: null,
+            impact
+        };
+
+        if (!instance) return { ...entry, cause: 'Instance not found on Codechat' };
+        if (instance.connectionStatus !== 'ONLINE') return { ...entry, cause: `Codechat status is ${instance.connectionStatus}` };
+
+        const token = instance.Auth?.token;
+        if (!token) return { ...entry, cause: 'Missing token', undetermined: true };
+        try {
+            entry.bailey_state = baileyState(await fetchInstanceDetails(row.instance_id, token));
+        } catch (error) {
+            logger.error({ instance_id: row.instance_id, err: error }, 'Error fetching Bailey status');
+            return { ...entry, cause: `Could not fetch Bailey status: ${error.message}`, undetermined: true };
+        }
+        return entry.bailey_state === 'open'
+            ? null
+            : { ...entry, cause: `Bailey state is ${entry.bailey_state}` };
+    });
+
+    const users = checked
+        .filter(Boolean)
+        .sort((a, b) => (a.impact.next_scheduled_at ?? Infinity) - (b.impact.next_scheduled_at ?? Infinity));
+
+    users.forEach(({ impact, undetermined }) => {
+        if (undetermined) {
+            statistics.undetermined++;
+            return;
+        }
+        statistics.atRisk++;
+        statistics.pendingMessages += impact.pending_messages;
+        statistics.sequences += impact.sequences;
+        statistics.groups += impact.groups;
+    });
+
+    return { users, statistics };
+}
+
+module.exports = {
+    PENDING_IMPACT_WINDOW_MS,
+    pendingImpact,
+    findUsersAtRisk
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const defaultPolicy = require('../config/incidentPolicy');
+const { SEVERITIES } = require('./alerts');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('incidents');
+
+// Fields of an incident that only the health monitor changes; the state and the
+// acknowledge/resolve details are changed through acknowledgeIncident and resolveIncident
+const MONITOR_FIELDS = ['failures', 'last_failure_at', 'last_error', 'tier', 'last_alert_at', 'alerts_sent', 'alerts_suppressed', 'paged'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function loadPolicy() {
+    const file = process.env.INCIDENT_POLICY_FILE;
+    const policy = file
+        ? { ...defaultPolicy, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultPolicy;
+
+    const { escalation, reminderMs, quietHours, maintenanceWindows } = policy;
+    if (!Array.isArray(escalation) || escalation.length === 0 || escalation[0].afterMs !== 0) {
+        throw new Error('Invalid incident policy: escalation must be a list of tiers starting with afterMs 0');
+    }
+    escalation.forEach((tier, index) => {
+        if (!Number.isFinite(tier.afterMs) || (index > 0 && tier.afterMs <= escalation[index - 1].afterMs)) {
+            throw new Error(`Invalid incident policy: escalation tier ${index} must have an afterMs greater than the tier before it`);
+        }
+        if (!SEVERITIES.includes(tier.severity)) {
+            throw new Error(`Invalid incident policy: escalation tier ${index} must have a severity of ${SEVERITIES.join(', ')}`);
+        }
+    });
+    if (!Number.isFinite(reminderMs) || reminderMs < 0) {
+        throw new Error('Invalid incident policy: reminderMs must be a number of milliseconds, 0 to disable');
+    }
+    if (quietHours) {
+        if (!TIME_OF_DAY.test(quietHours.start) || !TIME_OF_DAY.test(quietHours.end)) {
+            throw new Error('Invalid incident policy: quietHours start and end must be HH:MM times');
+        }
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone || 'UTC' });
+        } catch {
+            throw new Error(`Invalid incident policy: unknown quietHours timezone ${quietHours.timezone}`);
+        }
+    }
+    if (!Array.isArray(maintenanceWindows)) {
+        throw new Error('Invalid incident policy: maintenanceWindows must be an array');
+    }
+    maintenanceWindows.forEach((window, index) => {
+        const start = new Date(window.start);
+        const end = new Date(window.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+            throw new Error(`Invalid incident policy: maintenance window ${index} needs a start and a later end date`);
+        }
+    });
+    return policy;
+}
+
+const policy = loadPolicy();
+
+function minutes(timeOfDay) {
+    const [hours, mins] = timeOfDay.split(':').map(Number);
+    return hours * 60 + mins;
+}
+
+function inQuietHours(now) {
+    const { start, end, timezone = 'UTC' } = policy.quietHours;
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(now);
+    const current = Number(parts.find(part => part.type === 'hour').value) * 60
+        + Number(parts.find(part => part.type === 'minute').value);
+
+    // A window like 22:00-07:00 wraps around midnight
+    return minutes(start) <= minutes(end)
+        ? current >= minutes(start) && current < minutes(end)
+        : current >= minutes(start) || current < minutes(end);
+}
+
+// Why an alert of this severity about the incident is held back right now (quiet hours or
+// a maintenance window), or null when it should go out. Danger alerts are never held back,
+// and neither is the recovery of an incident that paged, so its page gets resolved.
+function suppression(severity, incident, now = new Date()) {
+    if (severity === 'danger' || (severity === 'good' && incident?.paged)) return null;
+
+    const maintenance = policy.maintenanceWindows
+        .find(window => new Date(window.start) <= now && now < new Date(window.end));
+    if (maintenance) return `maintenance${maintenance.reason ? ` (${maintenance.reason})` : ''}`;
+
+    if (policy.quietHours && inQuietHours(now)) return 'quiet hours';
+    return null;
+}
+
+// The alert an open incident is due, by how long it has been open: { type, tier, severity }
+// with type opened, escalated or reminded, or null. Acknowledged incidents are due none.
+function dueAlert(incident, now = new Date()) {
+    if (incident.state !== 'open') return null;
+
+    const age = now - new Date(incident.opened_at);
+    const tier = policy.escalation.reduce((reached, { afterMs }, index) => afterMs <= age ? index : reached, 0);
+    const { severity } = policy.escalation[tier];
+
+    if (tier > incident.tier) {
+        return { type: incident.tier < 0 ? 'opened' : 'escalated', tier, severity };
+    }
+    if (policy.reminderMs > 0 && tier === policy.escalation.length - 1
+        && incident.last_alert_at && now - new Date(incident.last_alert_at) >= policy.reminderMs) {
+        return { type: 'reminded', tier, severity };
+    }
+    return null;
+}
+
+// A new open incident, kept by the health monitor until saveIncident stores it
+function newIncident({ key, source, title, now = new Date() }) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        key,
+        source,
+        title,
+        state: 'open',
+        opened_at: now,
+        failures: 0,
+        tier: -1,
+        alerts_sent: 0,
+        alerts_suppressed: 0,
+        paged: false
+    };
+}
+
+function connected() {
+    return mongoose.connection.readyState === 1;
+}
+
+// Store the monitor's view of an incident with the events that happened since the last
+// save. Resolves to false, leaving it to the next save, without a MongoDB connection.
+async function saveIncident(incident, events = []) {
+    if (!connected()) return false;
+
+    const fields = Object.fromEntries(MONITOR_FIELDS
+        .filter(field => incident[field] !== undefined)
+        .map(field => [field, incident[field]]));
+    await Incident.updateOne(
+        { _id: incident._id },
+        {
+            $set: fields,
+            $setOnInsert: {
+                key: incident.key,
+                source: incident.source,
+                title: incident.title,
+                state: 'open',
+                active: true,
+                opened_at: incident.opened_at
+            },
+            $push: { events: { $each: events } }
+        },
+        { upsert: true }
+    );
+    return true;
+}
+
+// Pick up acknowledgements and resolutions made by operators. Resolves to the incident
+// with its stored state, or unchanged without a MongoDB connection or a stored copy.
+async function refreshIncident(incident) {
+    if (!connected()) return incident;
+
+    const stored = await Incident.findById(incident._id)
+        .select('state acknowledged_at acknowledged_by resolved_at resolved_by')
+        .lean();
+    return stored ? { ...incident, ...stored } : incident;
+}
+
+// Mark an open incident acknowledged, stopping its escalation. Resolves to the updated
+// incident, or null when there is no open incident with that id.
+async function acknowledgeIncident(id, by, message) {
+    const now = new Date();
+    const incident = await Incident.findOneAndUpdate(
+        { _id: id, state: 'open' },
+        {
+            $set: { state: 'acknowledged', acknowledged_at: now, acknowledged_by: by },
+            $push: { events: { type: 'acknowledged', message, by, at: now } }
+        },
+        { new: true }
+    ).lean();
+    if (incident) logger.info({ incident_id: id, by }, `Incident acknowledged by ${by}: ${incident.title}`);
+    return incident;
+}
+
+// Mark an open or acknowledged incident resolved. Resolves to the updated incident, or null
+// when there is no unresolved incident with that id.
+async function resolveIncident(id, by, message) {
+    const now = new Date();
+    const incident = await Incident.findOneAndUpdate(
+        { _id: id, active: true },
+        {
+            $set: { state: 'resolved', active: false, resolved_at: now, resolved_by: by },
+            $push: { events: { type: 'resolved', message, by, at: now } }
+        },
+        { new: true }
+    ).lean();
+    if (incident) logger.info({ incident_id: id, by }, `Incident resolved by ${by}: ${incident.title}`);
+    return incident;
+}
+
+module.exports = {
+    policy,
+    suppression,
+    dueAlert,
+    newIncident,
+    saveIncident,
+    refreshIncident,
+    acknowledgeIncident,
+    resolveIncident
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const defaultPolicy = require('../config/messageHoldPolicy');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('message-hold');
+
+const SCOPES = ['past_due', 'all'];
+const RELEASES = ['shift', 'asap'];
+
+function loadPolicy() {
+    const file = process.env.MESSAGE_HOLD_POLICY_FILE;
+    const policy = file
+        ? { ...defaultPolicy, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultPolicy;
+
+    if (typeof policy.enabled !== 'boolean') {
+        throw new Error('Invalid message hold policy: enabled must be true or false');
+    }
+    if (!SCOPES.includes(policy.scope)) {
+        throw new Error(`Invalid message hold policy: scope must be one of ${SCOPES.join(', ')}`);
+    }
+    if (!RELEASES.includes(policy.release)) {
+        throw new Error(`Invalid message hold policy: release must be one of ${RELEASES.join(', ')}`);
+    }
+    return policy;
+}
+
+const policy = loadPolicy();
+
+// Put the pending messages of an instance's user on hold, as the policy allows.
+// Resolves to the number of messages held (0 when the policy is disabled).
+async function holdPendingMessages(instanceName) {
+    if (!policy.enabled || !instanceName) return 0;
+    const now = new Date();
+    const holdable = { status: 'pending' };
+    const arrayFilter = { 'message.status': 'pending' };
+    if (policy.scope === 'past_due') {
+        holdable.scheduled_at = { $lte: now };
+        arrayFilter['message.scheduled_at'] = { $lte: now };
+    }
+
+    try {
+        const user = await User.findOne({ instance_id: instanceName, messages: { $elemMatch: holdable } })
+            .select('messages.status messages.scheduled_at')
+            .lean();
+        if (!user) return 0;
+
+        const count = user.messages.filter(message =>
+            message.status === 'pending' && (policy.scope === 'all' || message.scheduled_at <= now)
+        ).length;
+
+        // The array filter re-checks each message's status at write time, so a message the
+        // sender picked up meanwhile is left alone
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { 'messages.$[message].status': 'on_hold', 'messages.$[message].held_at': now },
+                $inc: { 'messages.$[message].version': 1 }
+            },
+            { arrayFilters: [arrayFilter] }
+        );
+
+        logger.info({ instance_id: instanceName, count }, `Held ${count} pending messages while the instance is offline`);
+        return count;
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to hold pending messages');
+        return 0;
+    }
+}
+
+// Release the held messages of an instance's user back to pending, rescheduled as the
+// policy says. Resolves to the number of messages released.
+async function releaseHeldMessages(instanceName) {
+    if (!instanceName) return 0;
+    const now = new Date();
+
+    try {
+        const user = await User.findOne({ instance_id: instanceName, 'messages.status': 'on_hold' })
+            .select('messages.status')
+            .lean();
+        if (!user) return 0;
+
+        const count = user.messages.filter(message => message.status === 'on_hold').length;
+        const scheduledAt = policy.release === 'shift'
+            ? { $add: ['$$message.scheduled_at', { $max: [{ $subtract: [now, { $ifNull: ['$$message.held_at', now] }] }, 0] }] }
+            : { $max: ['$$message.scheduled_at', now] };
+
+        // One pipeline update, so every held message is released and re-versioned atomically
+        await User.updateOne({ _id: user._id }, [{
+            $set: {
+                messages: {
+                    $map: {
+                        input: '$messages',
+                        as: 'message',
+                        in: {
+                            $cond: [
+                                { $eq: ['$$message.status', 'on_hold'] },
+                                {
+                                    $mergeObjects: ['$$message', {
+                                        status: 'pending',
+                                        scheduled_at: scheduledAt,
+                                        held_at: null,
+                                        version: { $add: [{ $ifNull: ['$$message.version', 0] }, 1] }
+                                    }]
+                                },
+                                '$$message'
+                            ]
+                        }
+                    }
+                }
+            }
+        }]);
+
+        logger.info({ instance_id: instanceName, count, release: policy.release }, `Released ${count} held messages (${policy.release})`);
+        return count;
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to release held messages');
+        return 0;
+    }
+}
+
+module.exports = {
+    policy,
+    holdPendingMessages,
+    releaseHeldMessages
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const InstanceEvent = require('../models/InstanceEvent');
+const { forEachInstance } = require('../utils/pool');
+const { fetchInstances, deleteInstance } = require('./codechat');
+const { recordInstanceEvent } = require('./remediation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('orphans');
+
+const ORPHAN_APPROVAL_TTL_MS = parseInt(process.env.ORPHAN_APPROVAL_TTL_MS) || 15 * 60 * 1000;
+// Most Codechat instances one approval token can delete, so a bad report cannot wipe the fleet
+const ORPHAN_APPROVAL_MAX_INSTANCES = parseInt(process.env.ORPHAN_APPROVAL_MAX_INSTANCES) || 20;
+
+// Without a configured secret, approval tokens only verify in the process that issued them
+const APPROVAL_SECRET = process.env.ORPHAN_APPROVAL_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Latest audit event of each instance, by instance id
+async function lastEvents(instanceIds) {
+    if (instanceIds.length === 0) return new Map();
+
+    const events = await InstanceEvent.aggregate([
+        { $match: { instance_id: { $in: instanceIds } } },
+        { $sort: { created_at: -1 } },
+        {
+            $group: {
+                _id: '$instance_id',
+                action: { $first: '$action' },
+                reason: { $first: '$reason' },
+                codechat_status: { $first: '$codechat_status' },
+                bailey_state: { $first: '$bailey_state' },
+                created_at: { $first: '$created_at' }
+            }
+        }
+    ]);
+    return new Map(events.map(({ _id, ...event }) => [_id, event]));
+}
+
+// Find both kinds of orphan:
+//   instances  Codechat instances that no user's instance_id points to
+//   users      users whose instance_id Codechat does not know
+// `instanceTokens` holds the Codechat token of each orphan instance, for the cleanup; it
+// must not be sent to clients.
+async function findOrphans() {
+    const [instances, users] = await Promise.all([
+        fetchInstances(),
+        User.find({ instance_id: { $nin: [null, ''] } }).select('instance_id mobile_number status updatedAt').lean()
+    ]);
+
+    const userInstanceIds = new Set(users.map(user => user.instance_id));
+    const instanceNames = new Set(instances.map(instance => instance.name));
+    // No users at all is more likely a wrong or freshly restored database than every
+    // instance being an orphan, and an empty list from Codechat more likely an outage than
+    // every user being dangling
+    const orphanInstances = users.length === 0
+        ? []
+        : instances.filter(instance => !userInstanceIds.has(instance.name));
+    const danglingUsers = instances.length === 0
+        ? []
+        : users.filter(user => !instanceNames.has(user.instance_id));
+
+    const events = await lastEvents([
+        ...orphanInstances.map(instance => instance.name),
+        ...danglingUsers.map(user => user.instance_id)
+    ]);
+    const now = Date.now();
+
+    return {
+        instances: orphanInstances.map(instance => {
+            const createdAt = instance.createdAt ? new Date(instance.createdAt) : null;
+            return {
+                instance_id: instance.name,
+                connection_status: instance.connectionStatus,
+                created_at: createdAt,
+                age_ms: createdAt ? now - createdAt.getTime() : null,
+                last_event: events.get(instance.name) || null
+            };
+        }),
+        users: danglingUsers.map(user => {
+            const lastEvent = events.get(user.instance_id) || null;
+            const lastSeenAt = lastEvent?.created_at || user.updatedAt || null;
+            return {
+                user_id: user._id.toString(),
+                instance_id: user.instance_id,
+                mobile_number: user.mobile_number,
+                mongo_status: user.status,
+                last_seen_at: lastSeenAt,
+                age_ms: lastSeenAt ? now - new Date(lastSeenAt).getTime() : null,
+                last_event: lastEvent
+            };
+        }),
+        instanceTokens: new Map(orphanInstances.map(instance => [instance.name, instance.Auth?.token]))
+    };
+}
+
+function signApproval(expiresAt, { deleteInstances, clearUsers }) {
+    const payload = [
+        expiresAt,
+        'instances', ...[...deleteInstances].sort(),
+        'users', ...[...clearUsers].sort()
+    ].join('\n');
+    return crypto.createHmac('sha256', APPROVAL_SECRET).update(payload).digest('hex');
+}
+
+// Issue a token approving the cleanup of exactly these targets, valid for
+// ORPHAN_APPROVAL_TTL_MS. It covers at most ORPHAN_APPROVAL_MAX_INSTANCES instances, the
+// first ones listed; `remainingInstances` counts those left for another token.
+function createApprovalToken(targets) {
+    const expiresAt = Date.now() + ORPHAN_APPROVAL_TTL_MS;
+    const approved = {
+        deleteInstances: targets.deleteInstances.slice(0, ORPHAN_APPROVAL_MAX_INSTANCES),
+        clearUsers: targets.clearUsers
+    };
+    return {
+        token: `${expiresAt}.${signApproval(expiresAt, approved)}`,
+        expiresAt: new Date(expiresAt).toISOString(),
+        deleteInstances: approved.deleteInstances,
+        clearUsers: approved.clearUsers,
+        remainingInstances: targets.deleteInstances.length - approved.deleteInstances.length
+    };
+}
+
+// Check an approval token against the targets of a cleanup. Resolves to null when it is
+// valid, or to the reason it is not.
+function verifyApprovalToken(token, targets) {
+    const [expires, signature] = String(token || '').split('.');
+    const expiresAt = Number(expires);
+
+    if (!expiresAt || !signature) return 'Missing or malformed approval token';
+    if (expiresAt < Date.now()) return 'Approval token has expired';
+    if (targets.deleteInstances.length > ORPHAN_APPROVAL_MAX_INSTANCES) {
+        return `An approval token covers at most ${ORPHAN_APPROVAL_MAX_INSTANCES} instances`;
+    }
+
+    const expected = Buffer.from(signApproval(expiresAt, targets));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Approval token does not match these cleanup targets';
+    }
+    return null;
+}
+
+// Delete orphan Codechat instances and clear dangling instance_id fields. Every target is
+// checked again first: one that is no longer an orphan is skipped. With dryRun nothing is
+// changed and the result carries an approval token for the targets that are still orphans.
+// Callers must hold the sweep lock and have verified the approval token.
+async function cleanupOrphans({ deleteInstances = [], clearUsers = [], dryRun = false }) {
+    const orphans = await findOrphans();
+    const orphanInstances = new Map(orphans.instances.map(instance => [instance.instance_id, instance]));
+    const danglingUsers = new Map(orphans.users.map(user => [user.user_id, user]));
+
+    const results = [];
+    const statistics = { deleted: 0, cleared: 0, skipped: 0, failed: 0 };
+    const approved = { deleteInstances: [], clearUsers: [] };
+
+    await forEachInstance(deleteInstances, async (instanceId) => {
+        const orphan = orphanInstances.get(instanceId);
+        if (!orphan) {
+            results.push({ target: 'instance', instance_id: instanceId, status: 'skipped', message: 'Not an orphan instance' });
+            statistics.skipped++;
+            return;
+        }
+        if (dryRun) {
+            approved.deleteInstances.push(instanceId);
+            results.push({ target: 'instance', instance_id: instanceId, status: 'would_delete', message: 'Dry run: would delete the instance from Codechat' });
+            return;
+        }
+
+        const event = {
+            instance_id: instanceId,
+            codechat_status: orphan.connection_status,
+            action: 'delete_instance',
+            reason: 'ORPHAN_INSTANCE',
+            source: 'orphans-cleanup'
+        };
+        try {
+            await deleteInstance(instanceId, orphans.instanceTokens.get(instanceId));
+            results.push({ target: 'instance', instance_id: instanceId, status: 'deleted', message: 'Deleted from Codechat' });
+            statistics.deleted++;
+        } catch (error) {
+            logger.error({ instance_id: instanceId, err: error }, 'Failed to delete orphan instance');
+            results.push({ target: 'instance', instance_id: instanceId, status: 'failed', error: error.message });
+            statistics.failed++;
+            event.success = false;
+            event.error = error.message;
+        }
+        await recordInstanceEvent(event);
+    });
+
+    for (const userId of clearUsers) {
+        const dangling = danglingUsers.get(userId);
+        if (!dangling) {
+            results.push({ target: 'user', user_id: userId, status: 'skipped', message: 'Not a user with a dangling instance_id' });
+            statistics.skipped++;
+            continue;
+        }
+        if (dryRun) {
+            approved.clearUsers.push(userId);
+            results.push({ target: 'user', user_id: userId, instance_id: dangling.instance_id, status: 'would_clear', message: 'Dry run: would clear instance_id' });
+            continue;
+        }
+
+        try {
+            // Only clear the instance_id we found dangling, in case it was reassigned meanwhile
+            const result = await User.updateOne(
+                { _id: userId, instance_id: dangling.instance_id },
+                { $unset: { instance_id: 1 } }
+            );
+            if (result.modifiedCount === 0) {
+                results.push({ target: 'user', user_id: userId, instance_id: dangling.instance_id, status: 'skipped', message: 'instance_id changed meanwhile' });
+                statistics.skipped++;
+                continue;
+            }
+        } catch (mongoError) {
+            logger.error({ user_id: userId, err: mongoError }, 'Failed to clear instance_id of user');
+            results.push({ target: 'user', user_id: userId, instance_id: dangling.instance_id, status: 'failed', error: mongoError.message });
+            statistics.failed++;
+            continue;
+        }
+
+        logger.info({ user_id: userId, instance_id: dangling.instance_id }, 'Cleared dangling instance_id of user');
+        results.push({ target: 'user', user_id: userId, instance_id: dangling.instance_id, status: 'cleared', message: 'instance_id cleared' });
+        statistics.cleared++;
+        await recordInstanceEvent({
+            instance_id: dangling.instance_id,
+            action: 'clear_instance_id',
+            reason: 'DANGLING_INSTANCE_ID',
+            source: 'orphans-cleanup'
+        });
+    }
+
+    if (dryRun) {
+        const total = approved.deleteInstances.length + approved.clearUsers.length;
+        return {
+            success: true,
+            dryRun,
+            message: `Dry run: ${approved.deleteInstances.length} instances would be deleted and ${approved.clearUsers.length} instance_id fields cleared`,
+            results,
+            statistics,
+            approval: total > 0 ? createApprovalToken(approved) : null
+        };
+    }
+
+    return {
+        success: statistics.failed === 0,
+        dryRun,
+        message: `Deleted ${statistics.deleted} orphan instances and cleared ${statistics.cleared} dangling instance_id fields`,
+        results,
+        statistics
+    };
+}
+
+module.exports = {
+    findOrphans,
+    createApprovalToken,
+    verifyApprovalToken,
+    cleanupOrphans
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const PairingSession = require('../models/PairingSession');
+const { fetchInstances, connectInstance } = require('./codechat');
+const { notifyPairing } = require('./customerNotifications');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('pairing');
+
+// WhatsApp rotates pairing QR codes quickly; after this a stored QR is refreshed before it is served
+const QR_TTL_MS = parseInt(process.env.QR_TTL_MS) || 45000;
+const PAIRING_LINK_TTL_MS = parseInt(process.env.PAIRING_LINK_TTL_MS) || 15 * 60 * 1000;
+
+function toPairing(session) {
+    return {
+        instance_id: session.instance_id,
+        qr_expires_at: session.qr_expires_at,
+        started_at: session.started_at,
+        logout_after: session.logout_after
+    };
+}
+
+// Link the user can open to scan the QR, or null when pairing links are not enabled
+function pairingLink(session) {
+    const baseUrl = process.env.PAIRING_LINK_BASE_URL;
+    if (!baseUrl || !session.link_token) return null;
+    return `${baseUrl.replace(/\/$/, '')}/instances/${encodeURIComponent(session.instance_id)}/qr?format=png&token=${session.link_token}`;
+}
+
+// Keep the QR code of a reconnect so the user can scan it. The first QR of a pairing
+// session sends the user a pairing link, when PAIRING_LINK_BASE_URL is set, and so does a
+// QR after the link has expired while the instance kept asking for one.
+// Resolves to the pairing state, or null when it could not be stored.
+async function storeQr(instanceName, connectResponse, { logoutAfter, source } = {}) {
+    const now = new Date();
+
+    try {
+        const current = await PairingSession.findOne({ instance_id: instanceName }).lean();
+        const newLink = !current || !(current.link_expires_at > now);
+        const session = await PairingSession.findOneAndUpdate(
+            { instance_id: instanceName },
+            {
+                $set: {
+                    qr_base64: connectResponse.base64,
+                    qr_code: connectResponse.code,
+                    qr_expires_at: new Date(now.getTime() + QR_TTL_MS),
+                    logout_after: logoutAfter,
+                    ...(newLink && {
+                        link_token: crypto.randomBytes(24).toString('hex'),
+                        link_expires_at: new Date(now.getTime() + PAIRING_LINK_TTL_MS)
+                    })
+                },
+                $setOnInsert: {
+                    started_at: now
+                }
+            },
+            { upsert: true, new: true }
+        ).lean();
+
+        const pairing = toPairing(session);
+        const link = pairingLink(session);
+        if (link && newLink) {
+            pairing.notifications = await notifyPairing(instanceName, { link, logoutAfter, source });
+        }
+        return pairing;
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to store the QR code');
+        return null;
+    }
+}
+
+// Return the pairing session of an instance, or null when it is not waiting for a QR scan
+async function getPairingSession(instanceName) {
+    return PairingSession.findOne({ instance_id: instanceName }).lean();
+}
+
+// Return the pairing session with a current QR, asking Codechat for a new one if the
+// stored QR has expired
+async function refreshQr(session) {
+    if (session.qr_expires_at > new Date()) return session;
+
+    const instanceName = session.instance_id;
+    const [instance] = await fetchInstances(instanceName);
+    const token = instance?.Auth?.token;
+    if (!token) return session;
+
+    const connectResponse = await connectInstance(instanceName, token);
+    if (!connectResponse?.base64) {
+        // No QR means WhatsApp is connected or connecting again; the next check clears the session
+        return { ...session, qr_base64: null, qr_code: null };
+    }
+
+    return PairingSession.findOneAndUpdate(
+        { instance_id: instanceName },
+        {
+            $set: {
+                qr_base64: connectResponse.base64,
+                qr_code: connectResponse.code,
+                qr_expires_at: new Date(Date.now() + QR_TTL_MS)
+            }
+        },
+        { new: true }
+    ).lean();
+}
+
+// Check the token of a pairing link. Resolves to null when it is valid, or to the reason it is not.
+function verifyLinkToken(session, token) {
+    if (!session.link_token) return 'No pairing link was issued for this instance';
+    if (session.link_expires_at < new Date()) return 'Pairing link has expired';
+
+    const expected = Buffer.from(session.link_token);
+    const given = Buffer.from(String(token));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid pairing link';
+    }
+    return null;
+}
+
+// End the pairing session of an instance once it is connected again or logged out
+async function clearPairing(instanceName) {
+    try {
+        await PairingSession.deleteOne({ instance_id: instanceName });
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to clear the pairing session');
+    }
+}
+
+module.exports = {
+    storeQr,
+    getPairingSession,
+    refreshQr,
+    verifyLinkToken,
+    clearPairing
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const { forEachInstance } = require('../utils/pool');
+const { fetchInstances, fetchInstanceDetails, baileyState, isCircuitOpen } = require('./codechat');
+const { recordInstanceEvent } = require('./remediation');
+const { pendingImpact } = require('./impact');
+const { holdPendingMessages, releaseHeldMessages } = require('./messageHold');
+const defaultPolicy = require('../config/reconciliationPolicy');
+const { createLogger, runWithCorrelationId } = require('../utils/logger');
+
+const logger = createLogger('reconciliation');
+
+function loadPolicy() {
+    const file = process.env.RECONCILIATION_POLICY_FILE;
+    const policy = file
+        ? { ...defaultPolicy, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultPolicy;
+
+    ['managedStatuses', 'onlineBaileyStates', 'offlineBaileyStates'].forEach(key => {
+        if (!Array.isArray(policy[key])) {
+            throw new Error(`Invalid reconciliation policy: ${key} must be an array`);
+        }
+    });
+    ['markOffline', 'markMissingOffline', 'markOnline'].forEach(key => {
+        if (typeof policy[key] !== 'boolean') {
+            throw new Error(`Invalid reconciliation policy: ${key} must be true or false`);
+        }
+    });
+    return policy;
+}
+
+const policy = loadPolicy();
+
+// Work out the status a user should have from its Codechat instance and Bailey state.
+// Resolves to { status, cause, allowed } or to null when it cannot be determined.
+function expectedStatus(instance, observation) {
+    if (!instance) {
+        return { status: 'OFFLINE', cause: 'Instance not found on Codechat', allowed: policy.markMissingOffline };
+    }
+    if (instance.connectionStatus !== 'ONLINE') {
+        return { status: 'OFFLINE', cause: `Codechat status is ${instance.connectionStatus}`, allowed: policy.markOffline };
+    }
+    if (observation.error || observation.baileyState === undefined) return null;
+
+    if (policy.onlineBaileyStates.includes(observation.baileyState)) {
+        return { status: 'ONLINE', cause: `Codechat ONLINE, Bailey ${observation.baileyState}`, allowed: policy.markOnline };
+    }
+    if (policy.offlineBaileyStates.includes(observation.baileyState)) {
+        return { status: 'OFFLINE', cause: `Codechat ONLINE, Bailey ${observation.baileyState}`, allowed: policy.markOffline };
+    }
+    return null;
+}
+
+// Compare one user with Codechat and repair its status if the policy allows it.
+// Resolves to a correction entry, or null when the user is in sync. With codechatEmpty
+// (Codechat listed no instances at all) a missing instance is not taken for a logged out one.
+async function reconcileUser(user, instance, { dryRun, codechatEmpty }) {
+    const observation = {};
+    if (instance?.connectionStatus === 'ONLINE') {
+        const token = instance.Auth?.token;
+        if (!token) {
+            observation.error = new Error('Missing token');
+        } else {
+            try {
+                observation.baileyState = baileyState(await fetchInstanceDetails(user.instance_id, token));
+            } catch (error) {
+                logger.error({ instance_id: user.instance_id, err: error }, 'Error fetching Bailey status');
+                observation.error = error;
+            }
+        }
+    }
+
+    const expected = !instance && codechatEmpty ? null : expectedStatus(instance, observation);
+    const entry = {
+        instance_id: user.instance_id,
+        mobile_number: user.mobile_number,
+        mongo_status: user.status,
+        codechat_status: instance?.connectionStatus || null,
+        bailey_state: observation.baileyState ?? null
+    };
+
+    if (!expected) {
+        return {
+            ...entry,
+            status: 'undetermined',
+            message: !instance
+                ? 'Codechat returned no instances at all; not marking the user OFFLINE'
+                : observation.error
+                    ? `Could not fetch Bailey status: ${observation.error.message}`
+                    : `No status rule for Bailey state ${observation.baileyState}`
+        };
+    }
+    if (expected.status === user.status) return null;
+
+    entry.expected_status = expected.status;
+    entry.cause = expected.cause;
+
+    if (!policy.managedStatuses.includes(user.status)) {
+        return { ...entry, status: 'not_allowed', message: `Status ${user.status} is not managed by the reconciliation policy` };
+    }
+    if (!expected.allowed) {
+        return { ...entry, status: 'not_allowed', message: `Reconciliation policy does not repair drift to ${expected.status} here` };
+    }
+    // Going OFFLINE puts the user's queued sends at risk; report them with the correction
+    if (expected.status === 'OFFLINE') {
+        entry.impact = await pendingImpact(user.instance_id);
+    }
+    if (dryRun) {
+        return { ...entry, status: 'would_correct', message: `Report only: would mark ${expected.status}` };
+    }
+
+    try {
+        // Only overwrite the status we read, so a concurrent change is not clobbered
+        const result = await User.updateOne(
+            { _id: user._id, status: user.status },
+            { $set: { status: expected.status } }
+        );
+        if (result.modifiedCount === 0) {
+            return { ...entry, status: 'skipped', message: 'Status changed while reconciling' };
+        }
+    } catch (mongoError) {
+        logger.error({ instance_id: user.instance_id, err: mongoError }, 'Failed to reconcile status');
+        return { ...entry, status: 'failed', error: mongoError.message };
+    }
+
+    logger.info({ instance_id: user.instance_id, from: user.status, to: expected.status, cause: expected.cause }, `Status ${user.status} -> ${expected.status}`);
+    if (expected.status === 'OFFLINE') {
+        entry.held_messages = await holdPendingMessages(user.instance_id);
+    } else {
+        entry.released_messages = await releaseHeldMessages(user.instance_id);
+    }
+    await recordInstanceEvent({
+        instance_id: user.instance_id,
+        codechat_status: entry.codechat_status,
+        bailey_state: entry.bailey_state,
+        action: expected.status === 'ONLINE' ? 'mark_online' : 'mark_offline',
+        reason: 'STATUS_DRIFT',
+        source: 'reconcile-statuses',
+        marked_offline: expected.status === 'OFFLINE',
+        held_messages: entry.held_messages,
+        impact: entry.impact
+    });
+    return { ...entry, status: 'corrected', message: `Marked ${expected.status}` };
+}
+
+// Compare the User.status of every user with an instance against Codechat and Bailey, and
+// repair drift in both directions as the reconciliation policy allows. With dryRun the
+// drift is only reported. Callers must hold the sweep lock, which is released when this
+// finishes. When run as a background job, progress and corrections are reported through `job`.
+// Each reconciliation logs (and calls Codechat) under a correlation id of its own.
+function reconcileStatuses(options) {
+    return runWithCorrelationId(() => reconcile(options));
+}
+
+async function reconcile({ dryRun = false, lock, job }) {
+    const statistics = {
+        users: 0,
+        inSync: 0,
+        corrected: 0,
+        toOnline: 0,
+        toOffline: 0,
+        wouldCorrect: 0,
+        notAllowed: 0,
+        undetermined: 0,
+        skipped: 0,
+        failed: 0
+    };
+
+    try {
+        logger.info({ dry_run: dryRun }, 'Starting status reconciliation');
+
+        const users = await User.find({ instance_id: { $nin: [null, ''] } })
+            .select('instance_id mobile_number status')
+            .lean();
+        const instances = await fetchInstances();
+        const instancesByName = new Map(instances.map(instance => [instance.name, instance]));
+        // An empty list from Codechat is more likely an outage than every user being logged
+        // out, so missing instances are left undetermined rather than marked OFFLINE
+        const codechatEmpty = instances.length === 0;
+        if (codechatEmpty && users.length > 0) {
+            logger.warn({ users: users.length }, 'Codechat returned no instances; users will not be marked OFFLINE for a missing instance');
+        }
+
+        const corrections = job ? job.results : [];
+        statistics.users = users.length;
+        lock.progress.total = users.length;
+        if (job) job.progress = lock.progress;
+
+        await forEachInstance(users, async (user) => {
+            const entry = await reconcileUser(user, instancesByName.get(user.instance_id), { dryRun, codechatEmpty });
+            lock.progress.processed++;
+
+            if (!entry) {
+                statistics.inSync++;
+                return;
+            }
+            corrections.push(entry);
+
+            if (entry.status === 'corrected') {
+                statistics.corrected++;
+                if (entry.expected_status === 'ONLINE') statistics.toOnline++;
+                else statistics.toOffline++;
+            } else if (entry.status === 'would_correct') {
+                statistics.wouldCorrect++;
+            } else if (entry.status === 'not_allowed') {
+                statistics.notAllowed++;
+            } else if (entry.status === 'undetermined') {
+                statistics.undetermined++;
+            } else if (entry.status === 'skipped') {
+                statistics.skipped++;
+            } else {
+                statistics.failed++;
+            }
+        }, { shouldStop: () => lock.lost || Boolean(job?.cancelled) || isCircuitOpen() });
+
+        const stopped = lock.lost
+            ? 'lock lost to another process'
+            : job?.cancelled ? 'cancelled' : isCircuitOpen() ? 'Codechat circuit breaker is open' : null;
+
+        logger[stopped ? 'warn' : 'info']({ dry_run: dryRun, stopped, statistics }, `Status reconciliation ${stopped ? `stopped (${stopped})` : 'completed'}: ${statistics.corrected} corrected, ${statistics.wouldCorrect} to correct, ${statistics.undetermined} undetermined`);
+
+        return {
+            success: !stopped,
+            cancelled: Boolean(job?.cancelled),
+            paused: isCircuitOpen(),
+            dryRun,
+            message: stopped
+                ? `Status reconciliation stopped: ${stopped}`
+                : dryRun
+                    ? `Report only: ${statistics.wouldCorrect} of ${users.length} users have a drifted status`
+                    : `Corrected ${statistics.corrected} of ${users.length} users`,
+            error: stopped || undefined,
+            results: job ? undefined : corrections,
+            statistics
+        };
+    } catch (error) {
+        logger.error({ err: error }, 'Error in status reconciliation');
+        return {
+            success: false,
+            dryRun,
+            message: 'Error reconciling statuses',
+            error: error.message,
+            statistics
+        };
+    } finally {
+        await lock.release();
+    }
+}
+
+module.exports = {
+    reconcileStatuses
+};
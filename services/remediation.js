@@ -0,0 +1,505 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const InstanceEvent = require('../models/InstanceEvent');
+const InstanceCondition = require('../models/InstanceCondition');
+const { connectInstance, logoutInstance } = require('./codechat');
+const { pendingImpact } = require('./impact');
+const { holdPendingMessages, releaseHeldMessages } = require('./messageHold');
+const { notifyLoggedOut } = require('./customerNotifications');
+const { storeQr, getPairingSession, clearPairing } = require('./pairing');
+const { remediationPause } = require('./anomalies');
+const { recordReconnect, recordLogout } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('remediation');
+
+const ACTIONS = ['ignore', 'reconnect', 'logout', 'alert', 'retry_later'];
+const FIELDS = ['codechatStatus', 'baileyState', 'connect', 'error', 'manual'];
+
+// Check a policy's shape up front so that a bad rule fails at startup, not mid-sweep
+function validatePolicy(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error('Invalid remediation policy: expected a non-empty array of rules');
+    }
+
+    const names = new Set();
+    rules.forEach((rule, index) => {
+        const label = `rule ${rule?.name || index}`;
+        if (!rule || typeof rule.name !== 'string') {
+            throw new Error(`Invalid remediation policy: rule ${index} has no name`);
+        }
+        if (names.has(rule.name)) {
+            throw new Error(`Invalid remediation policy: duplicate ${label}`);
+        }
+        names.add(rule.name);
+
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`Invalid remediation policy: ${label} has unknown action ${rule.action}`);
+        }
+        if (['reconnect', 'logout', 'alert'].includes(rule.action) && !InstanceEvent.REASONS.includes(rule.reason)) {
+            throw new Error(`Invalid remediation policy: ${label} needs a reason, one of ${InstanceEvent.REASONS.join(', ')}`);
+        }
+        if (rule.graceMs !== undefined && !(Number.isFinite(rule.graceMs) && rule.graceMs >= 0)) {
+            throw new Error(`Invalid remediation policy: ${label} has an invalid graceMs`);
+        }
+        if (rule.minObservations !== undefined && !(Number.isInteger(rule.minObservations) && rule.minObservations >= 1)) {
+            throw new Error(`Invalid remediation policy: ${label} has an invalid minObservations`);
+        }
+
+        const unknownField = Object.keys(rule.when || {}).find(field => !FIELDS.includes(field));
+        if (unknownField) {
+            throw new Error(`Invalid remediation policy: ${label} matches on unknown field ${unknownField}`);
+        }
+    });
+
+    return rules;
+}
+
+function loadPolicy() {
+    const file = process.env.REMEDIATION_POLICY_FILE;
+    if (!file) {
+        return validatePolicy(require('../config/remediationPolicy'));
+    }
+    logger.info({ file }, 'Loading remediation policy');
+    return validatePolicy(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+}
+
+const policy = loadPolicy();
+
+// Names of the error's class and its parent classes, e.g. InstanceNotFoundError, CodechatError
+function errorNames(error) {
+    const names = [];
+    for (let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        names.push(proto.constructor.name);
+    }
+    return names;
+}
+
+function matches(when, observation) {
+    return Object.entries(when).every(([field, expected]) => {
+        const actual = observation[field];
+        if (expected === '*') return actual !== undefined;
+
+        const accepted = Array.isArray(expected) ? expected : [expected];
+        if (field === 'error') {
+            return Boolean(actual) && errorNames(actual).some(name => accepted.includes(name));
+        }
+        return accepted.includes(actual);
+    });
+}
+
+// Return the decision of the first matching rule for an observation. An observation that
+// matches no rule is ignored.
+function decide(observation) {
+    const rule = policy.find(rule => matches(rule.when || {}, observation));
+    if (!rule) {
+        return { rule: null, action: 'ignore', reason: null, graceMs: 0, minObservations: 1 };
+    }
+    return {
+        rule: rule.name,
+        action: rule.action,
+        reason: rule.reason || null,
+        graceMs: rule.graceMs || 0,
+        minObservations: rule.minObservations || 1
+    };
+}
+
+// Forget the strikes and clocks of every rule but the ones that matched this check, so that
+// strikes only count consecutive checks: e.g. null, connecting, null is one strike of
+// null-bailey, not two
+async function resetOtherRules(instanceName, rules) {
+    try {
+        await InstanceCondition.deleteMany({ instance_id: instanceName, rule: { $nin: rules } });
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, rules, err: mongoError }, 'Failed to reset the strikes of other rules');
+    }
+}
+
+// Count a strike for the decision's rule and hold the decision back until the rule has
+// matched the instance for `minObservations` checks in a row and `graceMs`. Only sweeps
+// count strikes: other checks (countStrikes false) go by the strikes collected so far, and
+// a dry run of a sweep reads them as if it had counted its own. A reconnect resets
+// nothing: the policy is evaluated again on the connect response (`reconnectRule` is then
+// the rule that reconnected), and that decision, e.g. qr-required, resets the other rules.
+async function applyThresholds(instanceName, decision, { dryRun = false, countStrikes = true, reconnectRule = null } = {}) {
+    if (decision.action === 'ignore') {
+        return decision;
+    }
+    const record = countStrikes && !dryRun;
+    if (record && decision.action !== 'reconnect') {
+        await resetOtherRules(instanceName, [decision.rule, reconnectRule].filter(Boolean));
+    }
+    if (!decision.graceMs && decision.minObservations <= 1) {
+        return decision;
+    }
+
+    const now = new Date();
+    let condition;
+    try {
+        condition = !record
+            ? await InstanceCondition.findOne({ instance_id: instanceName, rule: decision.rule }).lean()
+            : await InstanceCondition.findOneAndUpdate(
+                { instance_id: instanceName, rule: decision.rule },
+                { $set: { last_seen_at: now }, $setOnInsert: { since: now }, $inc: { observations: 1 } },
+                { upsert: true, new: true }
+            ).lean();
+    } catch (mongoError) {
+        // Without the condition we cannot tell how long it has held, so do not act yet
+        logger.error({ instance_id: instanceName, rule: decision.rule, err: mongoError }, `Failed to read strikes of ${decision.rule}`);
+        return { ...decision, action: 'retry_later', heldAction: decision.action, deferred: true, graceRemainingMs: decision.graceMs };
+    }
+
+    const since = condition?.since || now;
+    const observations = record ? condition.observations : (condition?.observations || 0) + (countStrikes ? 1 : 0);
+    const elapsed = now.getTime() - new Date(since).getTime();
+    const strikes = { observations, required: decision.minObservations, since };
+
+    if (observations >= decision.minObservations && elapsed >= decision.graceMs) {
+        return { ...decision, strikes };
+    }
+
+    return {
+        ...decision,
+        action: 'retry_later',
+        heldAction: decision.action,
+        deferred: true,
+        strikes,
+        graceRemainingMs: Math.max(decision.graceMs - elapsed, 0)
+    };
+}
+
+// Time until which a held-back action is not taken: the end of its grace period, counted
+// from the first strike. The first sweep after it that has collected all strikes takes it.
+function heldUntil(decision) {
+    if (decision.strikes) {
+        return new Date(new Date(decision.strikes.since).getTime() + decision.graceMs);
+    }
+    return new Date(Date.now() + (decision.graceRemainingMs || 0));
+}
+
+// The user of an instance waiting for a QR scan was told it is not logged out before the
+// `logout_after` of its pairing session. Resolves to that time while it is still ahead.
+async function pairingDeadline(instanceName) {
+    try {
+        const session = await getPairingSession(instanceName);
+        return session?.logout_after > new Date() ? session.logout_after : null;
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to read the pairing deadline');
+        return null;
+    }
+}
+
+function describeHoldBack(decision) {
+    const parts = [];
+    if (decision.strikes) {
+        parts.push(`strike ${decision.strikes.observations}/${decision.strikes.required}`);
+    }
+    if (decision.graceRemainingMs > 0) {
+        parts.push(`${Math.ceil(decision.graceRemainingMs / 1000)}s of grace period left`);
+    }
+    return `Holding back ${decision.heldAction} of ${decision.rule} (${parts.join(', ')})`;
+}
+
+// The fleet anomaly incident pausing logouts by the policy, if any (see
+// config/anomalyPolicy.js). Manual logouts are never paused, and neither is anything when the
+// pause cannot be looked up.
+async function logoutPause(decision) {
+    if (decision.reason === 'MANUAL_LOGOUT') return null;
+    try {
+        return await remediationPause();
+    } catch (mongoError) {
+        logger.error({ err: mongoError }, 'Failed to check whether logouts are paused');
+        return null;
+    }
+}
+
+function describePause(decision, pause) {
+    return `Logout (${decision.reason}) held back: logouts are paused until fleet anomaly incident ${pause._id} is resolved`;
+}
+
+// Forget the strikes and grace period clocks of an instance once it is healthy or logged out
+async function clearConditions(instanceName) {
+    try {
+        await InstanceCondition.deleteMany({ instance_id: instanceName });
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to clear policy conditions');
+    }
+}
+
+// Return the strikes an instance has collected against each policy rule, with what the
+// rule needs before its action is taken
+async function getStrikes(instanceName) {
+    const conditions = await InstanceCondition.find({ instance_id: instanceName }).sort({ since: 1 }).lean();
+    const now = Date.now();
+
+    return conditions.map(condition => {
+        const rule = policy.find(rule => rule.name === condition.rule);
+        const graceMs = rule?.graceMs || 0;
+        const required = rule?.minObservations || 1;
+        const elapsed = now - new Date(condition.since).getTime();
+        return {
+            rule: condition.rule,
+            action: rule?.action || null,
+            reason: rule?.reason || null,
+            observations: condition.observations,
+            required,
+            since: condition.since,
+            last_seen_at: condition.last_seen_at,
+            grace_remaining_ms: Math.max(graceMs - elapsed, 0),
+            pending: condition.observations < required || elapsed < graceMs
+        };
+    });
+}
+
+// Function to mark instance offline in MongoDB and hold the user's pending messages
+async function markInstanceOffline(instanceName) {
+    if (!instanceName) return;
+    try {
+        const updatedUser = await User.findOneAndUpdate(
+            { instance_id: instanceName },
+            { $set: { status: 'OFFLINE' } },
+            { new: true }
+        );
+
+        if (!updatedUser) {
+            logger.warn({ instance_id: instanceName }, 'No Mongo user found for the instance to mark offline');
+            return { success: false, status: null };
+        }
+        logger.info({ instance_id: instanceName }, 'Instance marked OFFLINE in MongoDB');
+        const heldMessages = await holdPendingMessages(instanceName);
+        return { success: true, status: updatedUser.status, heldMessages };
+    } catch (mongoError) {
+        logger.error({ instance_id: instanceName, err: mongoError }, 'Failed to mark instance offline in MongoDB');
+    }
+}
+
+// Function to append a state-transition event to the instance audit trail
+async function recordInstanceEvent(event) {
+    try {
+        await InstanceEvent.create(event);
+    } catch (mongoError) {
+        logger.error({ instance_id: event.instance_id, action: event.action, err: mongoError }, `Failed to record ${event.action} event`);
+    }
+}
+
+// Evaluate the policy for one observation of an instance, including its strikes and grace period.
+// `observation` carries baileyState, error and manual; codechatStatus comes from `instance`.
+// Checks other than a sweep pass countStrikes false so that they do not add strikes.
+async function evaluate(instance, observation, { dryRun = false, countStrikes = true, reconnectRule = null } = {}) {
+    return applyThresholds(instance.name, decide(toFacts(instance, observation)), { dryRun, countStrikes, reconnectRule });
+}
+
+function toFacts(instance, observation) {
+    return { codechatStatus: instance.connectionStatus, manual: false, ...observation };
+}
+
+// Log out an instance (connecting it first unless it already is), mark it OFFLINE and
+// ask the user to reconnect
+async function logoutAndMarkOffline(instance, result, { connectFirst, source }) {
+    const { name, token } = instance;
+
+    if (connectFirst) {
+        // Codechat only logs out a loaded session; a failed connect is not fatal as the
+        // logout below reports the real problem
+        try {
+            await connectInstance(name, token);
+        } catch (connectError) {
+            logger.error({ instance_id: name, err: connectError }, 'Error connecting instance before logout');
+        }
+    }
+
+    try {
+        await logoutInstance(name, token);
+    } catch (logoutError) {
+        logger.error({ instance_id: name, err: logoutError }, 'Failed to logout instance');
+        recordLogout(result.reason, false);
+        result.success = false;
+        result.error = logoutError.message;
+        result.message = `Logout failed (${result.reason})`;
+        return;
+    }
+
+    result.loggedOut = true;
+    recordLogout(result.reason, true);
+    const marked = await markInstanceOffline(name);
+    result.markedOffline = Boolean(marked?.success);
+    result.mongoStatus = marked?.status ?? null;
+    result.heldMessages = marked?.heldMessages ?? 0;
+    result.impact = await pendingImpact(name);
+    result.message = `Logged out (${result.reason})`;
+    await clearConditions(name);
+    await clearPairing(name);
+    result.notifications = await notifyLoggedOut(name, result.reason, { source });
+}
+
+// Carry out a policy decision for an instance and record it in the audit trail.
+// `instance` is { name, token, connectionStatus }. The result describes what was done:
+// `action` is none, reconnect, reconnect_logout, connect_logout, alert or retry_later.
+// A logout also reports the user's pending sends in `impact` and the number of messages
+// put on hold in `heldMessages`; seeing the instance open releases them (`releasedMessages`).
+// Customers notified about a logout are listed in `notifications`. A QR code returned by a
+// reconnect is kept for pairing (`pairing`) unless the policy logs the instance out.
+// With dryRun nothing is changed and the message describes what would have been done.
+// While a fleet anomaly pauses logouts they are left for a later check (retry_later),
+// unless the caller asked for them explicitly with bypassPause. `countStrikes` is passed on
+// to the evaluation of a connect response (see evaluate).
+async function carryOut(instance, observation, decision, { source, runId = null, dryRun = false, bypassPause = false, countStrikes = true } = {}) {
+    const { name, token } = instance;
+    const result = {
+        decision,
+        action: 'none',
+        reason: decision.reason,
+        success: true,
+        deferred: Boolean(decision.deferred),
+        reconnected: false,
+        loggedOut: false,
+        markedOffline: false
+    };
+    const recordEvent = () => recordInstanceEvent({
+        instance_id: name,
+        codechat_status: instance.connectionStatus,
+        bailey_state: observation.baileyState ?? null,
+        action: result.action,
+        reason: result.reason,
+        source,
+        run_id: runId,
+        marked_offline: result.markedOffline,
+        held_messages: result.heldMessages,
+        success: result.success,
+        error: result.error,
+        impact: result.impact
+    });
+
+    switch (decision.action) {
+        case 'ignore':
+            result.message = observation.baileyState
+                ? `Properly connected (state: ${observation.baileyState})`
+                : `No action (rule: ${decision.rule})`;
+            if (!dryRun) {
+                await clearConditions(name);
+                // Messages held while the instance was offline can go out again
+                if (observation.baileyState === 'open') {
+                    await clearPairing(name);
+                    result.releasedMessages = await releaseHeldMessages(name);
+                    if (result.releasedMessages > 0) {
+                        result.message += `; released ${result.releasedMessages} held messages`;
+                    }
+                }
+            }
+            return result;
+
+        case 'retry_later':
+            result.action = 'retry_later';
+            result.message = decision.deferred
+                ? describeHoldBack(decision)
+                : `Left for the next check (rule: ${decision.rule}${observation.error ? `, error: ${observation.error.message}` : ''})`;
+            return result;
+
+        case 'alert':
+            result.action = 'alert';
+            result.message = `Alert: ${decision.reason} (state: ${observation.baileyState ?? 'unknown'})`;
+            logger.warn({ instance_id: name, rule: decision.rule }, `Instance needs attention: ${result.message}`);
+            if (!dryRun) await recordEvent();
+            return result;
+
+        case 'reconnect': {
+            result.action = 'reconnect';
+            if (dryRun) {
+                // What follows depends on the real connect response, so a dry run can only report the reconnect
+                result.message = 'Dry run: would reconnect, then re-evaluate the policy on the connect response';
+                return result;
+            }
+
+            let connectResponse;
+            try {
+                connectResponse = await connectInstance(name, token);
+            } catch (connectError) {
+                logger.error({ instance_id: name, err: connectError }, 'Failed to reconnect instance');
+                recordReconnect(decision.reason, false);
+                result.success = false;
+                result.error = connectError.message;
+                result.message = 'Reconnection failed';
+                await recordEvent();
+                return result;
+            }
+
+            recordReconnect(decision.reason, true);
+            result.reconnected = true;
+            result.qrRequired = Boolean(connectResponse?.base64);
+            result.message = 'Reconnected closed connection';
+
+            // Re-evaluate with the connect response; only a logout decision changes the outcome
+            const followUp = await evaluate(instance, { ...observation, connect: result.qrRequired ? 'qr' : 'connected' }, {
+                countStrikes,
+                reconnectRule: decision.rule
+            });
+            const pause = followUp.action === 'logout' && !bypassPause ? await logoutPause(followUp) : null;
+            const deadline = followUp.action === 'logout' && !pause && result.qrRequired ? await pairingDeadline(name) : null;
+            if (followUp.action === 'logout' && !pause && !deadline) {
+                logger.info({ instance_id: name, rule: followUp.rule }, `Reconnect matched ${followUp.rule}, logging out instance`);
+                result.action = 'reconnect_logout';
+                result.reason = followUp.reason;
+                result.reconnected = false;
+                result.decision = followUp;
+                await logoutAndMarkOffline(instance, result, { connectFirst: false, source });
+            } else if (result.qrRequired) {
+                // Keep the QR for the user to scan while the policy holds the logout back
+                result.pairing = await storeQr(name, connectResponse, {
+                    logoutAfter: deadline || heldUntil(followUp),
+                    source
+                });
+                result.message = `Reconnect needs a QR scan; QR kept for pairing${followUp.deferred ? `; ${describeHoldBack(followUp)}` : ''}${pause ? `; ${describePause(followUp, pause)}` : ''}${deadline ? `; logout (${followUp.reason}) held back until the pairing deadline ${deadline.toISOString()}` : ''}`;
+            } else if (pause) {
+                result.message = `Reconnected; ${describePause(followUp, pause)}`;
+            } else if (followUp.deferred) {
+                result.message = `Reconnected; ${describeHoldBack(followUp)}`;
+            } else if (followUp.action === 'ignore') {
+                await clearConditions(name);
+            }
+            await recordEvent();
+            return result;
+        }
+
+        case 'logout': {
+            const pause = bypassPause ? null : await logoutPause(decision);
+            if (pause) {
+                result.action = 'retry_later';
+                result.deferred = true;
+                result.message = `${dryRun ? 'Dry run: ' : ''}${describePause(decision, pause)}`;
+                logger.warn({ instance_id: name, rule: decision.rule, incident_id: pause._id }, result.message);
+                return result;
+            }
+
+            result.action = 'connect_logout';
+            if (dryRun) {
+                result.message = `Dry run: would connect and log out (${decision.reason})`;
+                result.impact = await pendingImpact(name);
+                return result;
+            }
+            await logoutAndMarkOffline(instance, result, { connectFirst: true, source });
+            await recordEvent();
+            return result;
+        }
+
+        default:
+            throw new Error(`Unknown remediation action ${decision.action}`);
+    }
+}
+
+// Evaluate the policy for an instance and carry out the decision
+async function remediate(instance, observation, options = {}) {
+    const decision = await evaluate(instance, observation, options);
+    return carryOut(instance, observation, decision, options);
+}
+
+module.exports = {
+    policy,
+    decide,
+    evaluate,
+    carryOut,
+    remediate,
+    getStrikes,
+    markInstanceOffline,
+    recordInstanceEvent
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const defaultStrategies = require('../config/restartStrategies');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('restart');
+
+// Ways of restarting the service, by name; each one exposes missingConfig(options), listing
+// the settings it lacks, and restart(options), which resolves to { message, details } or
+// throws. `defaults` are the options it falls back to.
+const STRATEGIES = {
+    browser: require('./restartStrategies/browser'),
+    http: require('./restartStrategies/http'),
+    docker: require('./restartStrategies/docker'),
+    shell: require('./restartStrategies/shell')
+};
+
+function loadStrategies() {
+    const file = process.env.RESTART_STRATEGY_FILE;
+    const strategies = file
+        ? { ...defaultStrategies, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) }
+        : defaultStrategies;
+
+    for (const [env, entry] of Object.entries(strategies)) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`Invalid restart strategies: ${env} must be an object with a strategy`);
+        }
+        if (!STRATEGIES[entry.strategy]) {
+            throw new Error(`Invalid restart strategies: unknown strategy ${entry.strategy} for ${env}; expected one of ${Object.keys(STRATEGIES).join(', ')}`);
+        }
+    }
+    if (!strategies.default) {
+        throw new Error('Invalid restart strategies: a default entry is required');
+    }
+    return strategies;
+}
+
+const strategies = loadStrategies();
+
+// The strategy configured for an environment, with its options
+function restartStrategy(env = process.env.ENV || 'dev') {
+    const { strategy: name, ...options } = strategies[env] || strategies.default;
+    const strategy = STRATEGIES[name];
+    return { strategy, options: { ...strategy.defaults, ...options } };
+}
+
+// Settings the configured strategy lacks; restartService fails without them
+function missingRestartConfig() {
+    const { strategy, options } = restartStrategy();
+    return strategy.missingConfig(options);
+}
+
+// Restart the service with the strategy configured for this environment. Never throws:
+// resolves to { strategy, success, message, details, error, startedAt, durationMs }, the
+// same for every strategy.
+async function restartService() {
+    const { strategy, options } = restartStrategy();
+    const started = Date.now();
+    const result = (success, { message, details = {}, error = null }) => ({
+        strategy: strategy.name,
+        success,
+        message,
+        details,
+        error,
+        startedAt: new Date(started).toISOString(),
+        durationMs: Date.now() - started
+    });
+
+    const missing = strategy.missingConfig(options);
+    if (missing.length > 0) {
+        const message = `Restart strategy ${strategy.name} is not configured`;
+        logger.error({ strategy: strategy.name, missing }, message);
+        return result(false, { message, error: `Missing ${missing.join(', ')}` });
+    }
+
+    logger.info({ strategy: strategy.name }, `Restarting the service via the ${strategy.name} strategy`);
+    try {
+        const { message, details = {} } = await strategy.restart(options);
+        logger.info({ strategy: strategy.name, details }, `Restart succeeded: ${message}`);
+        return result(true, { message, details });
+    } catch (error) {
+        logger.error({ strategy: strategy.name, err: error }, `Restart via the ${strategy.name} strategy failed`);
+        return result(false, { message: `Restart via the ${strategy.name} strategy failed`, error: error.message });
+    }
+}
+
+module.exports = {
+    restartStrategy,
+    missingRestartConfig,
+    restartService
+};
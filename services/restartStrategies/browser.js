@@ -0,0 +1,20 @@
+const restartF22LabsApp = require('../../restart-app');
+
+// Restart strategy logging into the F22 Labs dashboard with Puppeteer and clicking the
+// restart button of the app (restart-app.js, set up in config/f22Automation.js). Takes no
+// options; it reads the F22_* variables and EXECUTABLE_PATH.
+module.exports = {
+    name: 'browser',
+
+    missingConfig() {
+        return restartF22LabsApp.missingConfig();
+    },
+
+    async restart() {
+        const { statusBefore, statusAfter } = await restartF22LabsApp();
+        return {
+            message: `Restarted the app on the F22 Labs dashboard (status: ${statusAfter})`,
+            details: { statusBefore, statusAfter }
+        };
+    }
+};
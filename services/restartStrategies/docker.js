@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+// Restart strategy restarting a container through the Docker Engine API on its Unix socket.
+// Options: container (name or ID, default RESTART_DOCKER_CONTAINER), socketPath (default
+// DOCKER_SOCKET_PATH or /var/run/docker.sock), stopTimeoutSeconds (how long Docker waits
+// for the container to stop before killing it) and timeoutMs.
+module.exports = {
+    name: 'docker',
+
+    defaults: {
+        container: process.env.RESTART_DOCKER_CONTAINER,
+        socketPath: process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock',
+        stopTimeoutSeconds: 10,
+        timeoutMs: parseInt(process.env.RESTART_TIMEOUT_MS) || 60000
+    },
+
+    missingConfig(options) {
+        return options.container ? [] : ['container (RESTART_DOCKER_CONTAINER)'];
+    },
+
+    async restart(options) {
+        try {
+            const response = await axios.post(
+                `http://localhost/containers/${encodeURIComponent(options.container)}/restart`,
+                null,
+                {
+                    socketPath: options.socketPath,
+                    params: { t: options.stopTimeoutSeconds },
+                    timeout: options.timeoutMs
+                }
+            );
+            return {
+                message: `Restarted container ${options.container}`,
+                details: { container: options.container, status: response.status }
+            };
+        } catch (error) {
+            // The Engine API explains what went wrong, e.g. "No such container"
+            const reason = error.response?.data?.message;
+            throw reason ? new Error(`Docker Engine API error ${error.response.status}: ${reason}`) : error;
+        }
+    }
+};
@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Restart strategy calling a restart endpoint of the hosting platform (e.g. a deploy hook).
+// Options: url (default RESTART_HTTP_URL), method (default POST), headers, body and
+// timeoutMs; RESTART_HTTP_TOKEN is sent as a bearer token. Any 2xx response is a success.
+module.exports = {
+    name: 'http',
+
+    defaults: {
+        url: process.env.RESTART_HTTP_URL,
+        method: 'POST',
+        headers: {},
+        timeoutMs: parseInt(process.env.RESTART_TIMEOUT_MS) || 60000
+    },
+
+    missingConfig(options) {
+        return options.url ? [] : ['url (RESTART_HTTP_URL)'];
+    },
+
+    async restart(options) {
+        const response = await axios.request({
+            url: options.url,
+            method: options.method,
+            data: options.body,
+            headers: {
+                ...options.headers,
+                ...(process.env.RESTART_HTTP_TOKEN && { Authorization: `Bearer ${process.env.RESTART_HTTP_TOKEN}` })
+            },
+            timeout: options.timeoutMs
+        });
+        return {
+            message: `${options.method} ${options.url} answered ${response.status}`,
+            details: { status: response.status }
+        };
+    }
+};
@@ -0,0 +1,76 @@
+const { spawn } = require('child_process');
+
+// Output kept in the result and the error, from the end
+const OUTPUT_LIMIT = 2000;
+
+function tail(output) {
+    const text = String(output || '').trim();
+    return text.length > OUTPUT_LIMIT ? `...${text.slice(-OUTPUT_LIMIT)}` : text;
+}
+
+// Run a command through /bin/sh in its own process group, so that a timeout kills the
+// whole group: killing only the shell would leave the command it started running.
+// Resolves to { code, signal, timedOut, stdout, stderr } once the command exits.
+function run(command, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('/bin/sh', ['-c', command], { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        const output = { stdout: '', stderr: '' };
+        let timedOut = false;
+
+        for (const stream of ['stdout', 'stderr']) {
+            child[stream].setEncoding('utf8');
+            child[stream].on('data', chunk => {
+                output[stream] = (output[stream] + chunk).slice(-2 * OUTPUT_LIMIT);
+            });
+        }
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch {
+                // The group already exited
+            }
+            // A process that left the group may still hold the output pipes open
+            resolve({ code: null, signal: 'SIGKILL', timedOut, ...output });
+        }, timeoutMs);
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            resolve({ code, signal, timedOut, ...output });
+        });
+    });
+}
+
+// Restart strategy running a shell command, e.g. `systemctl restart wa-api` or a deploy
+// script. Options: command (default RESTART_COMMAND) and timeoutMs, after which the command
+// and every process it started are killed. Exiting with 0 is a success.
+module.exports = {
+    name: 'shell',
+
+    defaults: {
+        command: process.env.RESTART_COMMAND,
+        timeoutMs: parseInt(process.env.RESTART_TIMEOUT_MS) || 60000
+    },
+
+    missingConfig(options) {
+        return options.command ? [] : ['command (RESTART_COMMAND)'];
+    },
+
+    async restart(options) {
+        const { code, signal, timedOut, stdout, stderr } = await run(options.command, options.timeoutMs);
+        if (code !== 0) {
+            const cause = timedOut ? `was killed after ${options.timeoutMs}ms`
+                : signal ? `was killed by ${signal}` : `exited with ${code}`;
+            throw new Error(`Command ${cause}${tail(stderr) ? `: ${tail(stderr)}` : ''}`);
+        }
+        return {
+            message: `Ran ${options.command}`,
+            details: { stdout: tail(stdout), stderr: tail(stderr) }
+        };
+    }
+};
@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+
+function trippedBreaker(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ errorRate: 0.5, minRequests: 2, windowMs: 1000, cooldownMs: 1000 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state(), 'open');
+    t.mock.timers.tick(1000);
+    assert.strictEqual(breaker.state(), 'half_open');
+    return breaker;
+}
+
+test('half-open breaker lets a single trial call through', (t) => {
+    const breaker = trippedBreaker(t);
+
+    assert.strictEqual(breaker.isOpen(), false);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.isOpen(), true);
+    assert.strictEqual(breaker.status().trialInFlight, true);
+});
+
+test('successful trial closes the breaker', (t) => {
+    const breaker = trippedBreaker(t);
+
+    breaker.allowRequest();
+    breaker.recordSuccess();
+
+    assert.strictEqual(breaker.state(), 'closed');
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), true);
+});
+
+test('failed trial opens the breaker for another cooldown', (t) => {
+    const breaker = trippedBreaker(t);
+
+    breaker.allowRequest();
+    breaker.recordFailure();
+
+    assert.strictEqual(breaker.state(), 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), false);
+});
+
+test('trial that never settles is given up after a cooldown', (t) => {
+    const breaker = trippedBreaker(t);
+
+    breaker.allowRequest();
+    t.mock.timers.tick(999);
+    assert.strictEqual(breaker.allowRequest(), false);
+    t.mock.timers.tick(1);
+    assert.strictEqual(breaker.allowRequest(), true);
+});
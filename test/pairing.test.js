@@ -0,0 +1,40 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.PAIRING_LINK_BASE_URL = 'https://monitor.example.com';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PairingSession = require('../models/PairingSession');
+const customerNotifications = require('../services/customerNotifications');
+
+// Pairing sessions are kept in memory and links are collected instead of being sent
+let session = null;
+const links = [];
+PairingSession.findOne = () => ({ lean: async () => session && { ...session } });
+PairingSession.findOneAndUpdate = (filter, update) => {
+    session = { ...(session || { ...filter, ...update.$setOnInsert }), ...update.$set };
+    return { lean: async () => ({ ...session }) };
+};
+customerNotifications.notifyPairing = async (instanceName, { link }) => {
+    links.push(link);
+    return [];
+};
+
+const { storeQr } = require('../services/pairing');
+
+test('an instance that keeps asking for a QR gets a new link once the old one expired', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+    const qr = { base64: 'data:image/png;base64,qr', code: 'code' };
+
+    await storeQr('instance-1', qr, { logoutAfter: new Date(), source: 'cron' });
+    assert.strictEqual(links.length, 1);
+
+    t.mock.timers.tick(10 * 60 * 1000);
+    await storeQr('instance-1', qr, { logoutAfter: new Date(), source: 'cron' });
+    assert.strictEqual(links.length, 1);
+
+    t.mock.timers.tick(5 * 60 * 1000);
+    await storeQr('instance-1', qr, { logoutAfter: new Date(), source: 'cron' });
+    assert.strictEqual(links.length, 2);
+    assert.notStrictEqual(links[1], links[0]);
+    assert.ok(session.link_expires_at > new Date());
+});
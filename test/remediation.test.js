@@ -0,0 +1,129 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const InstanceEvent = require('../models/InstanceEvent');
+const InstanceCondition = require('../models/InstanceCondition');
+const codechat = require('../services/codechat');
+const impact = require('../services/impact');
+const messageHold = require('../services/messageHold');
+const customerNotifications = require('../services/customerNotifications');
+const pairing = require('../services/pairing');
+const anomalies = require('../services/anomalies');
+
+// Conditions are kept in memory; Codechat and everything a logout touches is stubbed before
+// services/remediation.js picks them up
+let conditions = [];
+const lean = (value) => ({ lean: async () => value });
+InstanceCondition.findOne = (filter) => lean(conditions.find(c => c.instance_id === filter.instance_id && c.rule === filter.rule) || null);
+InstanceCondition.findOneAndUpdate = (filter, update) => {
+    let condition = conditions.find(c => c.instance_id === filter.instance_id && c.rule === filter.rule);
+    if (!condition) {
+        condition = { ...filter, ...update.$setOnInsert, observations: 0 };
+        conditions.push(condition);
+    }
+    Object.assign(condition, update.$set);
+    condition.observations += update.$inc.observations;
+    return lean({ ...condition });
+};
+InstanceCondition.deleteMany = async (filter) => {
+    const kept = filter.rule ? [].concat(filter.rule.$nin || filter.rule.$ne) : [];
+    conditions = conditions.filter(c => c.instance_id !== filter.instance_id || kept.includes(c.rule));
+};
+User.findOneAndUpdate = async () => ({ status: 'OFFLINE' });
+InstanceEvent.create = async () => {};
+
+let calls;
+let pairingSession;
+codechat.connectInstance = async () => {
+    calls.connect++;
+    return { base64: 'data:image/png;base64,qr' };
+};
+codechat.logoutInstance = async () => {
+    calls.logout++;
+};
+impact.pendingImpact = async () => null;
+messageHold.holdPendingMessages = async () => 0;
+messageHold.releaseHeldMessages = async () => 0;
+customerNotifications.notifyLoggedOut = async () => [];
+pairing.storeQr = async (instanceName, connectResponse, { logoutAfter }) => {
+    calls.storeQr++;
+    pairingSession = { instance_id: instanceName, logout_after: logoutAfter };
+    return {};
+};
+pairing.getPairingSession = async () => pairingSession;
+pairing.clearPairing = async () => {
+    pairingSession = null;
+};
+anomalies.remediationPause = async () => null;
+
+const { remediate } = require('../services/remediation');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const QR_PAIRING_WINDOW_MS = 10 * 60 * 1000;
+const instance = { name: 'instance-1', token: 'token', connectionStatus: 'ONLINE' };
+const sweep = () => remediate(instance, { baileyState: 'close' }, { source: 'cron' });
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    conditions = [];
+    calls = { connect: 0, logout: 0, storeQr: 0 };
+    pairingSession = null;
+});
+
+test('closed instance that keeps asking for a QR is logged out on the second sweep', async (t) => {
+    const first = await sweep();
+    assert.strictEqual(first.action, 'reconnect');
+    assert.strictEqual(first.decision.rule, 'connection-closed');
+    assert.strictEqual(calls.storeQr, 1);
+    assert.deepStrictEqual(conditions.map(c => [c.rule, c.observations]), [['qr-required', 1]]);
+
+    t.mock.timers.tick(45 * 60 * 1000);
+    const second = await sweep();
+    assert.strictEqual(second.action, 'reconnect_logout');
+    assert.strictEqual(second.reason, 'QR_REQUIRED');
+    assert.strictEqual(second.loggedOut, true);
+    assert.strictEqual(calls.logout, 1);
+    assert.deepStrictEqual(conditions, []);
+});
+
+test('pairing deadline runs from the first QR for the grace period', async (t) => {
+    await sweep();
+    assert.strictEqual(pairingSession.logout_after.getTime(), START + QR_PAIRING_WINDOW_MS);
+
+    t.mock.timers.tick(5 * 60 * 1000);
+    await sweep();
+    assert.strictEqual(pairingSession.logout_after.getTime(), START + QR_PAIRING_WINDOW_MS);
+    assert.strictEqual(calls.logout, 0);
+});
+
+test('checks outside a sweep do not count strikes', async (t) => {
+    await sweep();
+
+    t.mock.timers.tick(45 * 60 * 1000);
+    const check = await remediate(instance, { baileyState: 'close' }, { source: 'check-individual-instance', countStrikes: false });
+    assert.strictEqual(check.action, 'reconnect');
+    assert.strictEqual(check.decision.rule, 'connection-closed');
+    assert.strictEqual(calls.logout, 0);
+    assert.deepStrictEqual(conditions.map(c => [c.rule, c.observations]), [['qr-required', 1]]);
+
+    const second = await sweep();
+    assert.strictEqual(second.action, 'reconnect_logout');
+});
+
+test('QR logout waits for the pairing deadline the user was given', async (t) => {
+    await sweep();
+    pairingSession.logout_after = new Date(START + 60 * 60 * 1000);
+
+    t.mock.timers.tick(45 * 60 * 1000);
+    const held = await sweep();
+    assert.strictEqual(held.action, 'reconnect');
+    assert.match(held.message, /held back until the pairing deadline/);
+    assert.strictEqual(calls.logout, 0);
+
+    t.mock.timers.tick(15 * 60 * 1000);
+    const loggedOut = await sweep();
+    assert.strictEqual(loggedOut.action, 'reconnect_logout');
+    assert.strictEqual(calls.logout, 1);
+});
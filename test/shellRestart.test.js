@@ -0,0 +1,44 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('../services/restartStrategies/shell');
+
+// A killed process can linger as a zombie until it is reaped; it no longer runs either way
+function running(pid) {
+    try {
+        return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch {
+        return false;
+    }
+}
+
+test('command output is returned on success', async () => {
+    const result = await shell.restart({ command: 'echo restarted; echo warning >&2', timeoutMs: 5000 });
+    assert.deepStrictEqual(result.details, { stdout: 'restarted', stderr: 'warning' });
+});
+
+test('non-zero exit fails with the exit code and stderr', async () => {
+    await assert.rejects(
+        shell.restart({ command: 'echo not allowed >&2; exit 3', timeoutMs: 5000 }),
+        { message: 'Command exited with 3: not allowed' }
+    );
+});
+
+test('timeout kills the processes the command started', { skip: process.platform !== 'linux' }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shell-restart-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const pidFile = path.join(dir, 'pid');
+
+    await assert.rejects(
+        shell.restart({ command: `sleep 30 & echo $! > ${pidFile}; wait`, timeoutMs: 300 }),
+        { message: 'Command was killed after 300ms' }
+    );
+
+    const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(running(pid), false);
+});
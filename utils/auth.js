@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const AuditLog = require('../models/AuditLog');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('auth');
+
+// Roles from least to most privileged; each role may do everything the ones before it can
+const ROLES = ['read_only', 'operator', 'admin'];
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const AUDIT_READ_REQUESTS = process.env.AUDIT_READ_REQUESTS === 'true';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API keys come from MONITOR_API_KEYS_FILE, a JSON array of { id, role, key } or
+// { id, role, keyHash } (hex SHA-256 of the key), and from MONITOR_API_KEYS, a
+// comma-separated list of id:role:key entries
+function loadApiKeys() {
+    let entries = [];
+    if (process.env.MONITOR_API_KEYS_FILE) {
+        entries = JSON.parse(fs.readFileSync(path.resolve(process.env.MONITOR_API_KEYS_FILE), 'utf8'));
+        if (!Array.isArray(entries)) {
+            throw new Error('Invalid MONITOR_API_KEYS_FILE: expected an array of API keys');
+        }
+    }
+    if (process.env.MONITOR_API_KEYS) {
+        entries = entries.concat(process.env.MONITOR_API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [id, role, ...key] = entry.split(':');
+            return { id, role, key: key.join(':') };
+        }));
+    }
+
+    const ids = new Set();
+    return entries.map((entry, index) => {
+        if (!entry.id || ids.has(entry.id)) {
+            throw new Error(`Invalid API key ${index}: every key needs a unique id`);
+        }
+        ids.add(entry.id);
+        if (!ROLES.includes(entry.role)) {
+            throw new Error(`Invalid API key ${entry.id}: role must be one of ${ROLES.join(', ')}`);
+        }
+        if (!entry.key && !/^[0-9a-f]{64}$/i.test(entry.keyHash || '')) {
+            throw new Error(`Invalid API key ${entry.id}: needs a key or a SHA-256 keyHash`);
+        }
+        return { id: entry.id, role: entry.role, hash: Buffer.from(entry.keyHash || hashKey(entry.key), 'hex') };
+    });
+}
+
+const apiKeys = loadApiKeys();
+
+// JWTs are verified with JWT_SECRET (HMAC) or JWT_PUBLIC_KEY (RSA/ECDSA, PEM)
+const jwtKey = process.env.JWT_PUBLIC_KEY || process.env.JWT_SECRET;
+const jwtOptions = {
+    algorithms: process.env.JWT_PUBLIC_KEY
+        ? ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512']
+        : ['HS256', 'HS384', 'HS512'],
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined
+};
+
+if (AUTH_DISABLED) {
+    logger.warn('AUTH_DISABLED is set: every endpoint is open to anyone who can reach the port');
+} else if (apiKeys.length === 0 && !jwtKey) {
+    logger.warn('No API keys or JWT key configured: every protected endpoint will answer 401');
+}
+
+function rank(role) {
+    return ROLES.indexOf(role);
+}
+
+function findApiKey(key) {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    return apiKeys.find(apiKey => crypto.timingSafeEqual(apiKey.hash, hash)) || null;
+}
+
+// The most privileged known role of a JWT, from its `role` or `roles` claim
+function jwtRole(payload) {
+    const roles = [].concat(payload.roles || [], payload.role || []).filter(role => ROLES.includes(role));
+    return roles.sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+// Identify the caller from an X-API-Key header or an Authorization: Bearer JWT.
+// Resolves to { auth } (null without credentials) or to { error } for bad credentials.
+function authenticate(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+        const match = findApiKey(apiKey);
+        return match
+            ? { auth: { id: match.id, role: match.role, method: 'api_key' } }
+            : { error: 'Invalid API key' };
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        if (!jwtKey) return { error: 'JWT authentication is not configured' };
+        try {
+            const payload = jwt.verify(token, jwtKey, jwtOptions);
+            const role = jwtRole(payload);
+            if (!role) return { error: `Token has no role; expected one of ${ROLES.join(', ')}` };
+            return { auth: { id: `jwt:${payload.sub || 'anonymous'}`, role, method: 'jwt' } };
+        } catch (error) {
+            return { error: `Invalid token: ${error.message}` };
+        }
+    }
+
+    return { auth: null };
+}
+
+// Record the request in the audit log once the response is sent
+function audit(req, res, requiredRole) {
+    if (req.auditEntry) {
+        req.auditEntry.required_role = requiredRole;
+        return;
+    }
+
+    const startedAt = Date.now();
+    const { token, ...query } = req.query || {};
+    req.auditEntry = {
+        http_method: req.method,
+        path: req.originalUrl.split('?')[0],
+        query,
+        required_role: requiredRole,
+        ip: req.ip,
+        user_agent: req.get('User-Agent')
+    };
+
+    res.on('finish', () => {
+        AuditLog.create({
+            ...req.auditEntry,
+            key_id: req.auth?.id ?? null,
+            role: req.auth?.role ?? null,
+            auth_method: req.auth?.method ?? null,
+            status_code: res.statusCode,
+            duration_ms: Date.now() - startedAt
+        }).catch(mongoError => logger.error({ err: mongoError }, 'Failed to write audit log'));
+    });
+}
+
+function deny(res, status, message) {
+    res.status(status).json({
+        success: false,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Middleware letting a request through only for callers with at least `role`. Requests
+// needing operator or admin, and every rejected request, are written to the audit log;
+// read-only requests only with AUDIT_READ_REQUESTS=true.
+function requireRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role ${role}; expected one of ${ROLES.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+        if (AUTH_DISABLED) return next();
+
+        if (req.auth === undefined) {
+            const { auth, error } = authenticate(req);
+            if (error) {
+                audit(req, res, role);
+                return deny(res, 401, error);
+            }
+            req.auth = auth;
+        }
+
+        if (!req.auth) {
+            audit(req, res, role);
+            res.set('WWW-Authenticate', 'Bearer');
+            return deny(res, 401, 'Authentication required: send an X-API-Key header or an Authorization: Bearer token');
+        }
+        if (rank(req.auth.role) < rank(role)) {
+            audit(req, res, role);
+            return deny(res, 403, `Role ${req.auth.role} may not do this; ${role} is required`);
+        }
+
+        if (role !== 'read_only' || AUDIT_READ_REQUESTS) {
+            audit(req, res, role);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    requireRole
+};
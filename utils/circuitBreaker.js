@@ -0,0 +1,101 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger('circuit-breaker');
+
+// Tracks the outcome of calls over a rolling window and opens once the error rate reaches
+// `errorRate` (0-1) over at least `minRequests` calls. While open, callers should make no
+// calls. After `cooldownMs` the breaker is half-open and lets a single trial call through
+// (claimed with `allowRequest()`): its outcome either closes the breaker (success) or opens
+// it again for another cooldown (failure). Until the trial settles the breaker stays open
+// for everyone else; a trial that never reports back is given up after another cooldown.
+function createCircuitBreaker({ errorRate = 0.5, minRequests = 10, windowMs = 60000, cooldownMs = 60000 } = {}) {
+    let samples = [];
+    let openedAt = null;
+    let trialStartedAt = null;
+
+    const prune = (now) => {
+        samples = samples.filter(sample => now - sample.at < windowMs);
+    };
+
+    const state = () => {
+        if (openedAt === null) return 'closed';
+        return Date.now() - openedAt >= cooldownMs ? 'half_open' : 'open';
+    };
+
+    const trialInFlight = () => trialStartedAt !== null && Date.now() - trialStartedAt < cooldownMs;
+
+    const open = (now) => {
+        openedAt = now;
+        trialStartedAt = null;
+        samples = [];
+    };
+
+    return {
+        state,
+
+        isOpen() {
+            const current = state();
+            return current === 'open' || (current === 'half_open' && trialInFlight());
+        },
+
+        // Whether a call may be made now. While half-open this claims the single trial call.
+        allowRequest() {
+            const current = state();
+            if (current === 'closed') return true;
+            if (current === 'open' || trialInFlight()) return false;
+            trialStartedAt = Date.now();
+            return true;
+        },
+
+        recordSuccess() {
+            const now = Date.now();
+            if (state() === 'half_open') {
+                openedAt = null;
+                trialStartedAt = null;
+                samples = [];
+                logger.info('Circuit breaker closed: trial call succeeded');
+            }
+            samples.push({ at: now, failed: false });
+            prune(now);
+        },
+
+        recordFailure() {
+            const now = Date.now();
+            const current = state();
+            if (current === 'half_open') {
+                open(now);
+                logger.error('Circuit breaker re-opened: trial call failed');
+                return;
+            }
+            if (current === 'open') return;
+
+            samples.push({ at: now, failed: true });
+            prune(now);
+
+            const failures = samples.filter(sample => sample.failed).length;
+            if (samples.length >= minRequests && failures / samples.length >= errorRate) {
+                logger.error({ failures, calls: samples.length, window_ms: windowMs }, `Circuit breaker opened: ${failures}/${samples.length} calls failed in the last ${windowMs}ms`);
+                open(now);
+            }
+        },
+
+        status() {
+            const now = Date.now();
+            prune(now);
+            const failures = samples.filter(sample => sample.failed).length;
+            return {
+                state: state(),
+                trialInFlight: state() === 'half_open' && trialInFlight(),
+                openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+                retryAt: openedAt ? new Date(openedAt + cooldownMs).toISOString() : null,
+                requests: samples.length,
+                failures,
+                errorRate: samples.length ? failures / samples.length : 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    createCircuitBreaker
+};
@@ -0,0 +1,134 @@
+const os = require('os');
+const Job = require('../models/Job');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('jobs');
+
+const JOB_FLUSH_INTERVAL_MS = parseInt(process.env.JOB_FLUSH_INTERVAL_MS) || 5000;
+
+// A job whose owner has not flushed for this long is treated as dead
+const STALE_AFTER_MS = JOB_FLUSH_INTERVAL_MS * 3;
+
+// Jobs running in this process, by id
+const activeJobs = new Map();
+
+// Create a job record and run `handler(job)` in the background. The handler reports
+// through the job context: it updates `job.progress`, appends to `job.results`, and
+// should stop early once `job.cancelled` is true. It resolves to a result with
+// `success`, `message`, `error`, `statistics` and optionally `runId` / `cancelled`.
+// Progress and new results are flushed to MongoDB every JOB_FLUSH_INTERVAL_MS; the
+// flush also picks up cancellation requested from other processes.
+async function startJob(type, params, handler) {
+    const startedAt = new Date();
+    const doc = await Job.create({
+        type,
+        params,
+        owner: `${os.hostname()}:${process.pid}`,
+        started_at: startedAt,
+        heartbeat_at: startedAt
+    });
+
+    const job = {
+        id: doc._id.toString(),
+        type,
+        progress: { processed: 0, total: 0 },
+        results: [],
+        cancelled: false
+    };
+    activeJobs.set(job.id, job);
+
+    let flushedResults = 0;
+    let pendingFlush = Promise.resolve();
+
+    // Flushes are chained so that results are never pushed twice
+    const flush = (extra = {}) => {
+        pendingFlush = pendingFlush.then(async () => {
+            const newResults = job.results.slice(flushedResults);
+            try {
+                const current = await Job.findByIdAndUpdate(
+                    doc._id,
+                    {
+                        $set: { progress: job.progress, heartbeat_at: new Date(), ...extra },
+                        $push: { results: { $each: newResults } }
+                    },
+                    { new: true, projection: { cancel_requested: 1 } }
+                ).lean();
+
+                flushedResults += newResults.length;
+                if (current?.cancel_requested) job.cancelled = true;
+            } catch (mongoError) {
+                logger.error({ job_id: job.id, err: mongoError }, 'Failed to update job in MongoDB');
+            }
+        });
+        return pendingFlush;
+    };
+
+    const interval = setInterval(flush, JOB_FLUSH_INTERVAL_MS);
+    interval.unref();
+
+    (async () => {
+        let final;
+        try {
+            const result = await handler(job);
+            final = {
+                status: result.cancelled || job.cancelled ? 'cancelled' : (result.success ? 'completed' : 'failed'),
+                message: result.message,
+                error: result.error,
+                statistics: result.statistics,
+                run_id: result.runId
+            };
+        } catch (error) {
+            logger.error({ job_id: job.id, type, err: error }, `Job ${type} failed`);
+            final = { status: 'failed', message: `Job ${type} failed`, error: error.message };
+        }
+
+        clearInterval(interval);
+        activeJobs.delete(job.id);
+        await flush({ ...final, finished_at: new Date() });
+        logger.info({ job_id: job.id, type, status: final.status }, `Job ${type} finished with status ${final.status}`);
+    })();
+
+    return job;
+}
+
+async function getJob(id) {
+    return Job.findById(id).lean();
+}
+
+// Request cancellation of a running job. Resolves to the updated job, or null when no
+// running job has this id. A job whose owning process has stopped flushing is marked
+// cancelled straight away, since nothing is left to notice the request.
+async function cancelJob(id) {
+    const local = activeJobs.get(id);
+    if (local) local.cancelled = true;
+
+    const job = await Job.findOneAndUpdate(
+        { _id: id, status: 'running' },
+        { $set: { cancel_requested: true } },
+        { new: true }
+    ).lean();
+    if (!job) return null;
+
+    const lastSeen = job.heartbeat_at || job.started_at;
+    if (!local && Date.now() - lastSeen.getTime() > STALE_AFTER_MS) {
+        return Job.findOneAndUpdate(
+            { _id: id, status: 'running' },
+            {
+                $set: {
+                    status: 'cancelled',
+                    message: 'Cancelled after the owning process stopped responding',
+                    finished_at: new Date()
+                }
+            },
+            { new: true }
+        ).lean();
+    }
+
+    return job;
+}
+
+module.exports = {
+    startJob,
+    getJob,
+    cancelJob
+};
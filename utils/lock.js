@@ -0,0 +1,157 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('lock');
+
+const LOCK_LEASE_MS = parseInt(process.env.LOCK_LEASE_MS) || 120000;
+
+// Name of the MongoDB lock that keeps sweeps from overlapping across processes
+const SWEEP_LOCK = 'instance-sweep';
+
+// Try to take the named lock for this process. Resolves to a lock handle, or null when
+// another process holds an unexpired lease. While held, a heartbeat renews the lease and
+// persists `handle.progress`; if the lease is lost (e.g. the process stalled past it),
+// `handle.lost` becomes true.
+async function acquireLock(name, { operation, leaseMs = LOCK_LEASE_MS } = {}) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const now = new Date();
+
+    try {
+        await Lock.findOneAndUpdate(
+            { name, expires_at: { $lte: now } },
+            {
+                $set: {
+                    owner,
+                    operation,
+                    run_id: null,
+                    job_id: null,
+                    progress: { processed: 0, total: 0 },
+                    acquired_at: now,
+                    heartbeat_at: now,
+                    expires_at: new Date(now.getTime() + leaseMs)
+                }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        // The upsert collides with the unique name when an unexpired lock already exists
+        if (error.code === 11000) return null;
+        throw error;
+    }
+
+    const handle = {
+        name,
+        owner,
+        lost: false,
+        progress: { processed: 0, total: 0 },
+        runId: null,
+        jobId: null
+    };
+
+    const heartbeat = async () => {
+        const beatAt = new Date();
+        try {
+            const result = await Lock.updateOne(
+                { name, owner },
+                {
+                    $set: {
+                        run_id: handle.runId,
+                        job_id: handle.jobId,
+                        progress: handle.progress,
+                        heartbeat_at: beatAt,
+                        expires_at: new Date(beatAt.getTime() + leaseMs)
+                    }
+                }
+            );
+            if (result.matchedCount === 0) {
+                handle.lost = true;
+                clearInterval(interval);
+                logger.error({ lock: name }, `Lost lock ${name}: lease expired and was taken over`);
+            }
+        } catch (mongoError) {
+            logger.error({ lock: name, err: mongoError }, `Failed to renew lock ${name}`);
+        }
+    };
+
+    const interval = setInterval(heartbeat, Math.floor(leaseMs / 3));
+    interval.unref();
+
+    // Persist run id / progress straight away instead of waiting for the next beat
+    handle.touch = heartbeat;
+
+    handle.release = async () => {
+        clearInterval(interval);
+        try {
+            await Lock.deleteOne({ name, owner });
+        } catch (mongoError) {
+            logger.error({ lock: name, err: mongoError }, `Failed to release lock ${name}`);
+        }
+    };
+
+    return handle;
+}
+
+// Return the current holder of the named lock, or null if it is free
+async function getLockHolder(name) {
+    return Lock.findOne({ name, expires_at: { $gt: new Date() } }).lean();
+}
+
+// Function to describe the sweep currently holding the sweep lock, for "already running" responses
+async function describeActiveSweep() {
+    try {
+        const holder = await getLockHolder(SWEEP_LOCK);
+        if (!holder) return null;
+
+        return {
+            operation: holder.operation,
+            runId: holder.run_id,
+            jobId: holder.job_id,
+            owner: holder.owner,
+            startedAt: holder.acquired_at,
+            lastHeartbeat: holder.heartbeat_at,
+            progress: holder.progress
+        };
+    } catch (mongoError) {
+        logger.error({ err: mongoError }, 'Failed to read the sweep lock from MongoDB');
+        return null;
+    }
+}
+
+// Function to take the sweep lock. Resolves to the lock handle, or to an error result
+// (`alreadyRunning` when another sweep holds the lock) that callers return as-is.
+async function acquireSweepLock(operation) {
+    try {
+        const lock = await acquireLock(SWEEP_LOCK, { operation });
+        if (lock) return { lock };
+    } catch (mongoError) {
+        logger.error({ operation, err: mongoError }, 'Failed to acquire the sweep lock');
+        return {
+            error: {
+                success: false,
+                message: 'Could not acquire the sweep lock',
+                error: mongoError.message
+            }
+        };
+    }
+
+    const activeSweep = await describeActiveSweep();
+    logger.info({ operation, active_operation: activeSweep?.operation }, `Skipping ${operation}: another sweep is already running`);
+    return {
+        error: {
+            success: false,
+            alreadyRunning: true,
+            message: 'A sweep is already running',
+            activeSweep
+        }
+    };
+}
+
+module.exports = {
+    SWEEP_LOCK,
+    acquireLock,
+    getLockHolder,
+    acquireSweepLock,
+    describeActiveSweep
+};
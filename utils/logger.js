@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+
+// JSON logs, one object per line on stdout:
+// {"level":"info","time":"...","module":"codechat","correlation_id":"...","instance_id":"...","msg":"..."}
+
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+const DEFAULT_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Fields whose values never reach the logs, at any of the first three levels of a log object
+const SECRET_FIELDS = ['token', 'apikey', 'apiKey', 'approvalToken', 'authorization', 'password', 'secret', '["x-api-key"]'];
+const REDACT_PATHS = SECRET_FIELDS.flatMap(field => {
+    const key = field.startsWith('[') ? field : `.${field}`;
+    return [key.replace(/^\./, ''), `*${key}`, `*.*${key}`];
+});
+
+// Secrets from the environment are also cut out of messages and error stacks, e.g. a
+// Codechat API key or F22 password quoted in an error message
+const SECRET_ENV = ['API_KEY', 'F22_PASSWORD', 'JWT_SECRET', 'SMTP_PASS', 'CUSTOMER_WEBHOOK_TOKEN', 'ORPHAN_APPROVAL_SECRET', 'SLACK_WEBHOOK_URL',
+    'ALERT_WEBHOOK_SECRET', 'PAGERDUTY_ROUTING_KEY', 'SLACK_BOT_TOKEN', 'RESTART_HTTP_TOKEN'];
+const secrets = SECRET_ENV.map(name => process.env[name])
+    .concat((process.env.MONITOR_API_KEYS || '').split(',').map(entry => entry.trim().split(':').slice(2).join(':')))
+    .filter(secret => secret && secret.length >= 6)
+    .flatMap(secret => [secret, JSON.stringify(secret).slice(1, -1)]);
+
+function scrub(line) {
+    return secrets.reduce((text, secret) => text.split(secret).join('[REDACTED]'), line);
+}
+
+// Errors are logged without their own fields: a Codechat error's cause is the axios error,
+// which carries the request with its headers
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        type: error.name,
+        message: error.message,
+        ...(error.status && { status: error.status }),
+        ...(error.code && { code: error.code }),
+        ...(error.cause?.message && { cause: error.cause.message }),
+        stack: error.stack
+    };
+}
+
+const destination = pino.destination({ dest: 1, sync: true });
+
+const root = pino({
+    level: DEFAULT_LEVEL,
+    base: { pid: process.pid },
+    timestamp: pino.stdTimeFunctions.isoTime,
+    formatters: {
+        level: label => ({ level: label })
+    },
+    serializers: { err: serializeError },
+    redact: { paths: REDACT_PATHS, censor: '[REDACTED]' },
+    // correlation_id (and triggered_by) of the current request or sweep; a copy, as pino
+    // merges the line's fields into it
+    mixin: () => ({ ...context.getStore() })
+}, {
+    write: line => destination.write(secrets.length > 0 ? scrub(line) : line)
+});
+
+const context = new AsyncLocalStorage();
+
+// Module loggers; kept so setLevel reaches all of them
+const loggers = new Set([root]);
+
+// Logger of one module, e.g. createLogger('codechat'). Per-instance lines add the
+// instance as a field: logger.info({ instance_id: name }, 'Connecting instance').
+function createLogger(module) {
+    const logger = root.child({ module });
+    loggers.add(logger);
+    return logger;
+}
+
+function getLevel() {
+    return root.level;
+}
+
+// Change the level of every logger in the process, e.g. to 'debug' while investigating
+function setLevel(level) {
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Invalid log level ${level}: expected one of ${LEVELS.join(', ')}`);
+    }
+    loggers.forEach(logger => { logger.level = level; });
+}
+
+function newCorrelationId() {
+    return crypto.randomUUID();
+}
+
+// Correlation id of the request or sweep being handled, if any
+function correlationId() {
+    return context.getStore()?.correlation_id;
+}
+
+// Run `fn` with its own correlation id, logged on every line it writes and sent to
+// Codechat with every call it makes. Inside a request (e.g. a sweep started over HTTP),
+// the request's id is kept as triggered_by.
+function runWithCorrelationId(fn, id = newCorrelationId()) {
+    const parent = correlationId();
+    return context.run({ correlation_id: id, ...(parent && { triggered_by: parent }) }, fn);
+}
+
+// Incoming ids must look like ids before they are echoed back and logged
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const QUIET_PATHS = ['/health', '/metrics'];
+
+// Middleware giving every request a correlation id: the caller's X-Request-Id when it sent
+// a usable one, a new UUID otherwise. The id is returned in X-Request-Id and each request
+// is logged once it has been answered (health checks and scrapes only at debug).
+function requestLogger() {
+    const logger = createLogger('http');
+
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const id = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : newCorrelationId();
+        const startedAt = process.hrtime.bigint();
+        res.setHeader('X-Request-Id', id);
+
+        context.run({ correlation_id: id }, () => {
+            res.on('finish', () => {
+                const path = req.originalUrl.split('?')[0];
+                const level = res.statusCode >= 500 ? 'error'
+                    : res.statusCode >= 400 ? 'warn'
+                    : QUIET_PATHS.includes(path) ? 'debug'
+                    : 'info';
+                logger[level]({
+                    method: req.method,
+                    path,
+                    status: res.statusCode,
+                    duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+                    key_id: req.auth?.id
+                }, `${req.method} ${path} ${res.statusCode}`);
+            });
+            next();
+        });
+    };
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    getLevel,
+    setLevel,
+    correlationId,
+    runWithCorrelationId,
+    requestLogger
+};
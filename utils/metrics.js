@@ -0,0 +1,172 @@
+const client = require('prom-client');
+
+// Prometheus metrics of the instance fleet and of the monitor itself, served at /metrics
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// The fleet gauges hold what the last complete sweep (or /api/stats/all-instances) saw;
+// scrapes never call Codechat themselves
+const instancesByCodechatStatus = new client.Gauge({
+    name: 'whatsapp_instances',
+    help: 'Codechat instances by connection status, as last observed',
+    labelNames: ['codechat_status'],
+    registers: [registry]
+});
+
+const instancesByBaileyState = new client.Gauge({
+    name: 'whatsapp_instances_bailey',
+    help: 'ONLINE Codechat instances by Bailey (WhatsApp) state, as last observed; "null" when Codechat reports none, "unknown" when the lookup failed',
+    labelNames: ['state'],
+    registers: [registry]
+});
+
+const fleetObservedAt = new client.Gauge({
+    name: 'whatsapp_instances_observed_timestamp_seconds',
+    help: 'When the instance gauges were last updated',
+    registers: [registry]
+});
+
+const reconnects = new client.Counter({
+    name: 'whatsapp_monitor_reconnects_total',
+    help: 'Instances the monitor reconnected, by reason and result',
+    labelNames: ['reason', 'result'],
+    registers: [registry]
+});
+
+const logouts = new client.Counter({
+    name: 'whatsapp_monitor_logouts_total',
+    help: 'Instances the monitor logged out, by reason and result',
+    labelNames: ['reason', 'result'],
+    registers: [registry]
+});
+
+const sweepDuration = new client.Histogram({
+    name: 'whatsapp_monitor_sweep_duration_seconds',
+    help: 'Duration of instance check sweeps',
+    labelNames: ['trigger', 'dry_run', 'result'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800],
+    registers: [registry]
+});
+
+const codechatErrors = new client.Counter({
+    name: 'codechat_errors_total',
+    help: 'Failed Codechat calls by endpoint and status: the HTTP status, "unreachable" without a response, or "circuit_open" when the breaker refused the call',
+    labelNames: ['endpoint', 'status'],
+    registers: [registry]
+});
+
+const codechatLatency = new client.Histogram({
+    name: 'codechat_request_duration_seconds',
+    help: 'Latency of single Codechat calls (each retry counts on its own), by endpoint',
+    labelNames: ['endpoint'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30],
+    registers: [registry]
+});
+
+const alerts = new client.Counter({
+    name: 'whatsapp_monitor_alerts_total',
+    help: 'Operator alerts sent, by sink, severity and result',
+    labelNames: ['sink', 'severity', 'result'],
+    registers: [registry]
+});
+
+const anomalies = new client.Counter({
+    name: 'whatsapp_monitor_fleet_anomalies_total',
+    help: 'Sweep statistics that crossed an anomaly threshold, by statistic and threshold (count, percent or baseline)',
+    labelNames: ['metric', 'threshold'],
+    registers: [registry]
+});
+
+// Set by trackCircuitBreaker; read on every scrape
+let circuitBreaker = null;
+
+new client.Gauge({
+    name: 'codechat_circuit_state',
+    help: 'Codechat circuit breaker state: 1 for the current state, 0 for the others',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        if (!circuitBreaker) return;
+        const { state } = circuitBreaker.status();
+        CIRCUIT_STATES.forEach(label => this.set({ state: label }, label === state ? 1 : 0));
+    }
+});
+
+function count(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return counts;
+}
+
+// Replace the fleet gauges with a full observation: every Codechat instance, and the
+// Bailey state of each ONLINE one (undefined when its lookup failed)
+function observeFleet(instances, baileyStates) {
+    instancesByCodechatStatus.reset();
+    count(instances.map(instance => instance.connectionStatus || 'unknown'))
+        .forEach((total, status) => instancesByCodechatStatus.set({ codechat_status: status }, total));
+
+    instancesByBaileyState.reset();
+    count(baileyStates.map(state => state === undefined ? 'unknown' : String(state)))
+        .forEach((total, state) => instancesByBaileyState.set({ state }, total));
+
+    fleetObservedAt.setToCurrentTime();
+}
+
+function recordReconnect(reason, success) {
+    reconnects.inc({ reason: reason || 'none', result: success ? 'success' : 'failure' });
+}
+
+function recordLogout(reason, success) {
+    logouts.inc({ reason: reason || 'none', result: success ? 'success' : 'failure' });
+}
+
+function recordAlert(sink, severity, success) {
+    alerts.inc({ sink, severity, result: success ? 'success' : 'failure' });
+}
+
+function recordAnomaly(metric, threshold) {
+    anomalies.inc({ metric, threshold });
+}
+
+// Start timing a sweep; call the returned function with its result when it ends
+function startSweepTimer({ trigger, dryRun }) {
+    const end = sweepDuration.startTimer({ trigger, dry_run: String(Boolean(dryRun)) });
+    return result => end({
+        result: result?.success ? 'success'
+            : result?.paused ? 'paused'
+            : result?.cancelled ? 'cancelled'
+            : 'failure'
+    });
+}
+
+// Start timing a Codechat call; call the returned function with the error, if it failed
+function startCodechatTimer(endpoint) {
+    const end = codechatLatency.startTimer({ endpoint });
+    return error => {
+        end();
+        if (error) recordCodechatError(endpoint, error.status ?? 'unreachable');
+    };
+}
+
+function recordCodechatError(endpoint, status) {
+    codechatErrors.inc({ endpoint, status: String(status) });
+}
+
+function trackCircuitBreaker(breaker) {
+    circuitBreaker = breaker;
+}
+
+module.exports = {
+    registry,
+    observeFleet,
+    recordReconnect,
+    recordLogout,
+    recordAlert,
+    recordAnomaly,
+    startSweepTimer,
+    startCodechatTimer,
+    recordCodechatError,
+    trackCircuitBreaker
+};
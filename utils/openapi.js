@@ -0,0 +1,107 @@
+const { z } = require('zod');
+const { registry } = require('../schemas/components');
+const requests = require('../schemas/requests');
+
+const COMPONENT_REF = '#/components/schemas/';
+const IN = { params: 'path', query: 'query' };
+
+// OpenAPI 3.0 JSON Schema of a zod schema. Requests are documented as clients send them
+// (before coercion and defaults), responses as the routes produce them.
+function toJsonSchema(schema, io) {
+    return z.toJSONSchema(schema, {
+        target: 'openapi-3.0',
+        io,
+        unrepresentable: 'any',
+        uri: id => `${COMPONENT_REF}${id}`,
+        override: ({ jsonSchema }) => {
+            // Extra fields are allowed on the way out and dropped on the way in
+            if (jsonSchema.additionalProperties === false) delete jsonSchema.additionalProperties;
+            // zod bounds every integer to the safe range; only real limits are worth documenting
+            if (jsonSchema.minimum === Number.MIN_SAFE_INTEGER) delete jsonSchema.minimum;
+            if (jsonSchema.maximum === Number.MAX_SAFE_INTEGER) delete jsonSchema.maximum;
+        }
+    });
+}
+
+function componentSchemas() {
+    const { schemas } = toJsonSchema(registry, 'output');
+    for (const schema of Object.values(schemas)) {
+        delete schema.$id;
+    }
+    return schemas;
+}
+
+function toParameters(schema, location) {
+    const { properties = {}, required = [] } = toJsonSchema(schema, 'input');
+
+    return Object.entries(properties).map(([name, { description, example, ...property }]) => ({
+        in: IN[location],
+        name,
+        required: location === 'params' || required.includes(name),
+        ...(description && { description }),
+        ...(example !== undefined && { example }),
+        schema: property
+    }));
+}
+
+const validationErrorResponse = {
+    description: 'Invalid request',
+    content: {
+        'application/json': {
+            schema: { $ref: `${COMPONENT_REF}ValidationError` }
+        }
+    }
+};
+
+// Fill the component schemas and, for every operation in schemas/requests.js, the
+// parameters, request body and 400 response of a swagger-jsdoc spec. The @swagger
+// comments keep the summaries, descriptions and other responses. An operation without
+// @swagger docs stops the service at startup, so the docs cannot fall behind the routes.
+function withSchemas(spec) {
+    spec.components = { ...spec.components, schemas: componentSchemas() };
+
+    for (const [operation, request] of Object.entries(requests)) {
+        const [method, path] = operation.split(' ');
+        const doc = spec.paths?.[path]?.[method.toLowerCase()];
+        if (!doc) {
+            throw new Error(`Missing @swagger docs for ${operation}`);
+        }
+
+        doc.parameters = ['params', 'query']
+            .filter(location => request[location])
+            .flatMap(location => toParameters(request[location], location));
+
+        if (request.body) {
+            doc.requestBody = {
+                required: true,
+                content: {
+                    'application/json': { schema: toJsonSchema(request.body, 'input') }
+                }
+            };
+        }
+
+        doc.responses = doc.responses || {};
+        const documented = doc.responses[400];
+        doc.responses[400] = documented
+            ? {
+                description: `${documented.description}, or ${validationErrorResponse.description.toLowerCase()}`,
+                content: {
+                    'application/json': {
+                        schema: {
+                            oneOf: [
+                                documented.content['application/json'].schema,
+                                validationErrorResponse.content['application/json'].schema
+                            ]
+                        }
+                    }
+                }
+            }
+            : validationErrorResponse;
+    }
+
+    return spec;
+}
+
+module.exports = {
+    withSchemas
+};
@@ -0,0 +1,60 @@
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Spaces calls evenly so that no more than `perSecond` acquire() calls resolve per second.
+// A limit of 0 (or less) disables limiting.
+function createRateLimiter(perSecond) {
+    if (!perSecond || perSecond <= 0) {
+        return { acquire: async () => {} };
+    }
+
+    const interval = 1000 / perSecond;
+    let nextSlot = 0;
+
+    return {
+        async acquire() {
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + interval;
+
+            if (slot > now) {
+                await delay(slot - now);
+            }
+        }
+    };
+}
+
+// Run `worker(item, index)` over `items` with at most `concurrency` workers in flight.
+// Results are returned in the same order as `items`. Once `shouldStop()` returns true no
+// further items are started, and the results of items never started are left undefined.
+async function runPool(items, worker, { concurrency = 1, shouldStop = () => false } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+// Shared by every module that talks to Codechat, so the combined request rate stays under the limit
+const codechatLimiter = createRateLimiter(parseInt(process.env.CODECHAT_RATE_LIMIT) || 10);
+
+const INSTANCE_CONCURRENCY = parseInt(process.env.INSTANCE_CONCURRENCY) || 5;
+
+// Run `worker` over a list of Codechat instances using the configured concurrency
+function forEachInstance(instances, worker, { shouldStop } = {}) {
+    return runPool(instances, worker, { concurrency: INSTANCE_CONCURRENCY, shouldStop });
+}
+
+module.exports = {
+    delay,
+    createRateLimiter,
+    runPool,
+    codechatLimiter,
+    forEachInstance
+};
@@ -0,0 +1,53 @@
+const requests = require('../schemas/requests');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Middleware checking req.params, req.query and req.body against the request schema of
+// an operation in schemas/requests.js, e.g. validate('GET /runs'). Parsed values replace
+// the raw ones, so routes see coerced types and defaults and no unknown keys. Invalid
+// requests get a 400 listing every problem found.
+function validate(operation) {
+    const request = requests[operation];
+    if (!request) {
+        throw new Error(`No request schema for ${operation} in schemas/requests.js`);
+    }
+
+    return (req, res, next) => {
+        const errors = [];
+        const parsed = {};
+
+        for (const location of LOCATIONS) {
+            if (!request[location]) continue;
+
+            const result = request[location].safeParse(req[location] ?? {});
+            if (result.success) {
+                parsed[location] = result.data;
+            } else {
+                errors.push(...result.error.issues.map(issue => ({
+                    in: location,
+                    path: issue.path.join('.'),
+                    message: issue.message
+                })));
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request',
+                errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // req.query is a getter in Express 5, so it is shadowed rather than assigned
+        for (const [location, value] of Object.entries(parsed)) {
+            Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate
+};